@@ -0,0 +1,624 @@
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var functions = require('./functions');
+var errors = require('./errors');
+
+module.exports = BlockTransfer;
+
+/**
+ * Chunk errors are reported through the `BlockTransferError`.
+ *
+ * @private
+ * @const
+ * @type {function}
+ */
+var SUPPRESS_ERROR_FUNCTION = function() {};
+
+/**
+ * Definitions of the data blocks that can be read in multiple chunks.
+ *
+ * `maxQuantity` is the largest quantity accepted by a single request
+ * and `getValues` extracts `quantity` items from a chunk's response
+ * (and throws an `InvalidResponseDataError` if the response is shorter).
+ *
+ * @const
+ * @type {object.<string, object>}
+ */
+var READ_BLOCKS = {
+  coils: {
+    maxQuantity: 2000,
+    createRequest: function(address, quantity)
+    {
+      return new functions.ReadCoilsRequest(address, quantity);
+    },
+    getValues: getStates
+  },
+  discreteInputs: {
+    maxQuantity: 2000,
+    createRequest: function(address, quantity)
+    {
+      return new functions.ReadDiscreteInputsRequest(address, quantity);
+    },
+    getValues: getStates
+  },
+  holdingRegisters: {
+    maxQuantity: 125,
+    createRequest: function(address, quantity)
+    {
+      return new functions.ReadHoldingRegistersRequest(address, quantity);
+    },
+    getValues: getRegisterValues
+  },
+  inputRegisters: {
+    maxQuantity: 125,
+    createRequest: function(address, quantity)
+    {
+      return new functions.ReadInputRegistersRequest(address, quantity);
+    },
+    getValues: getRegisterValues
+  },
+  memory: {
+    maxQuantity: 250,
+    createRequest: function(address, quantity)
+    {
+      return new functions.ReadMemoryRequest(address, quantity);
+    },
+    getValues: getMemoryValues
+  }
+};
+
+/**
+ * Definitions of the data blocks that can be written in multiple chunks.
+ *
+ * `itemSize` is a number of the `values` elements (array items or buffer
+ * bytes) per one addressable item.
+ *
+ * @const
+ * @type {object.<string, object>}
+ */
+var WRITE_BLOCKS = {
+  coils: {
+    maxQuantity: 1968,
+    itemSize: 1,
+    createRequest: function(address, values)
+    {
+      return new functions.WriteMultipleCoilsRequest(address, values);
+    }
+  },
+  holdingRegisters: {
+    maxQuantity: 123,
+    itemSize: 2,
+    createRequest: function(address, values)
+    {
+      return new functions.WriteMultipleRegistersRequest(address, values);
+    }
+  },
+  memory: {
+    maxQuantity: 250,
+    itemSize: 1,
+    createRequest: function(address, values)
+    {
+      return new functions.WriteMemoryRequest(address, values);
+    }
+  }
+};
+
+/**
+ * A read or write of a data block that may be larger than a single request
+ * allows.
+ *
+ * The block is split into chunks of the largest legal size, which are
+ * executed one after another through the master's transaction queue.
+ * The transfer stops at the first chunk that fails (after all its retries),
+ * with a `BlockTransferError` describing the failed chunk.
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {Master} master
+ * @param {Array.<BlockTransfer.Chunk>} chunks
+ * @param {object} options Options applied to each chunk's transaction.
+ * @event chunk Emitted after each successful chunk, with the chunk and
+ * its response.
+ * @event response Emitted with the result after all chunks succeeded.
+ * @event error Emitted with a `BlockTransferError` if any chunk failed.
+ * @event complete Emitted after the `response` or the `error` event,
+ * with the error (or `null`) and the result.
+ */
+function BlockTransfer(master, chunks, options)
+{
+  EventEmitter.call(this);
+
+  /**
+   * @private
+   * @type {Master}
+   */
+  this.master = master;
+
+  /**
+   * @private
+   * @type {Array.<BlockTransfer.Chunk>}
+   */
+  this.chunks = chunks;
+
+  /**
+   * @private
+   * @type {object}
+   */
+  this.options = options;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.chunkIndex = -1;
+
+  /**
+   * @private
+   * @type {Array.<Response>}
+   */
+  this.responses = [];
+
+  /**
+   * @private
+   * @type {Transaction|null}
+   */
+  this.transaction = null;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.cancelled = false;
+}
+
+util.inherits(BlockTransfer, EventEmitter);
+
+/**
+ * Definitions of the data blocks that can be read in multiple chunks,
+ * by the block names. Used to plan the reads of the tags (see `PollPlanner`).
+ *
+ * @const
+ * @type {object.<string, {
+ *   maxQuantity: number,
+ *   createRequest: function(number, number): Request,
+ *   getValues: function(Response, BlockTransfer.Chunk):
+ *     (Buffer|Array.<boolean>)
+ * }>}
+ */
+BlockTransfer.READ_BLOCKS = READ_BLOCKS;
+
+/**
+ * Definitions of the data blocks that can be written in multiple chunks,
+ * by the block names. Used to plan the writes of the tags
+ * (see `TagTransfer`).
+ *
+ * @const
+ * @type {object.<string, {
+ *   maxQuantity: number,
+ *   itemSize: number,
+ *   createRequest: function(number, (Buffer|Array.<boolean>)): Request
+ * }>}
+ */
+BlockTransfer.WRITE_BLOCKS = WRITE_BLOCKS;
+
+/**
+ * @constructor
+ * @param {number} address A starting address of the chunk.
+ * @param {number} quantity A number of items in the chunk.
+ * @param {Request} request
+ * @param {function(Response): (Buffer|Array.<boolean>)|null} getValues
+ */
+BlockTransfer.Chunk = function(address, quantity, request, getValues)
+{
+  this.address = address;
+  this.quantity = quantity;
+  this.request = request;
+  this.getValues = getValues;
+};
+
+/**
+ * @param {Master} master
+ * @param {string} block One of: `coils`, `discreteInputs`, `holdingRegisters`,
+ * `inputRegisters` or `memory`.
+ * @param {number} address A starting address.
+ * @param {number} quantity A number of the items (or bytes, in case of
+ * `memory`) to read.
+ * @param {object} options
+ * @returns {BlockTransfer}
+ * @throws {Error} If any of the arguments are invalid.
+ */
+BlockTransfer.read = function(master, block, address, quantity, options)
+{
+  var definition = getDefinition(READ_BLOCKS, block);
+
+  assertRange(address, quantity);
+
+  var chunks = [];
+
+  for (var offset = 0; offset < quantity; offset += definition.maxQuantity)
+  {
+    var chunkQuantity = Math.min(definition.maxQuantity, quantity - offset);
+
+    chunks.push(new BlockTransfer.Chunk(
+      address + offset,
+      chunkQuantity,
+      definition.createRequest(address + offset, chunkQuantity),
+      definition.getValues
+    ));
+  }
+
+  return new BlockTransfer(master, chunks, options);
+};
+
+/**
+ * @param {Master} master
+ * @param {string} block One of: `coils`, `holdingRegisters` or `memory`.
+ * @param {number} address A starting address.
+ * @param {Buffer|Array.<boolean>} values Values to write: an array of states
+ * for `coils`, a buffer otherwise.
+ * @param {object} options
+ * @returns {BlockTransfer}
+ * @throws {Error} If any of the arguments are invalid.
+ */
+BlockTransfer.write = function(master, block, address, values, options)
+{
+  var definition = getDefinition(WRITE_BLOCKS, block);
+
+  if (values.length % definition.itemSize !== 0)
+  {
+    throw new Error(util.format(
+      "The length of the `values` must be a multiple of %d, got: %d",
+      definition.itemSize,
+      values.length
+    ));
+  }
+
+  var quantity = values.length / definition.itemSize;
+
+  assertRange(address, quantity);
+
+  var chunks = [];
+
+  for (var offset = 0; offset < quantity; offset += definition.maxQuantity)
+  {
+    var chunkQuantity = Math.min(definition.maxQuantity, quantity - offset);
+    var chunkValues = values.slice(
+      offset * definition.itemSize,
+      (offset + chunkQuantity) * definition.itemSize
+    );
+
+    chunks.push(new BlockTransfer.Chunk(
+      address + offset,
+      chunkQuantity,
+      definition.createRequest(address + offset, chunkValues),
+      null
+    ));
+  }
+
+  return new BlockTransfer(master, chunks, options);
+};
+
+/**
+ * Starts executing the chunks.
+ */
+BlockTransfer.prototype.start = function()
+{
+  this.executeNextChunk();
+};
+
+BlockTransfer.prototype.cancel = function()
+{
+  if (this.cancelled)
+  {
+    return;
+  }
+
+  this.cancelled = true;
+
+  if (this.transaction !== null)
+  {
+    this.transaction.cancel();
+    this.transaction = null;
+  }
+
+  this.emit('cancel');
+};
+
+/**
+ * @returns {boolean}
+ */
+BlockTransfer.prototype.isCancelled = function()
+{
+  return this.cancelled;
+};
+
+/**
+ * @returns {number}
+ */
+BlockTransfer.prototype.getChunkCount = function()
+{
+  return this.chunks.length;
+};
+
+/**
+ * @returns {Array.<Response>} Responses of the successful chunks.
+ */
+BlockTransfer.prototype.getResponses = function()
+{
+  return this.responses;
+};
+
+/**
+ * Returns the values read by the successful chunks, stitched together.
+ *
+ * @returns {Buffer|Array.<boolean>|null} A buffer of the register values
+ * or memory bytes, an array of the coil or input states, or `null`
+ * if this is a write.
+ */
+BlockTransfer.prototype.getValues = function()
+{
+  if (this.chunks[0].getValues === null)
+  {
+    return null;
+  }
+
+  var values = [];
+
+  for (var i = 0; i < this.responses.length; ++i)
+  {
+    values.push(this.chunks[i].getValues(this.responses[i], this.chunks[i]));
+  }
+
+  if (Buffer.isBuffer(values[0]))
+  {
+    return Buffer.concat(values);
+  }
+
+  return Array.prototype.concat.apply([], values);
+};
+
+/**
+ * @returns {Buffer|Array.<boolean>|Array.<Response>} The stitched values
+ * of a read or the chunk responses of a write.
+ */
+BlockTransfer.prototype.getResult = function()
+{
+  var values = this.getValues();
+
+  return values === null ? this.responses : values;
+};
+
+/**
+ * @private
+ */
+BlockTransfer.prototype.executeNextChunk = function()
+{
+  if (this.cancelled)
+  {
+    return;
+  }
+
+  this.chunkIndex += 1;
+
+  if (this.chunkIndex === this.chunks.length)
+  {
+    this.finish(null);
+
+    return;
+  }
+
+  var chunk = this.chunks[this.chunkIndex];
+  var options = {};
+
+  Object.keys(this.options).forEach(function(key)
+  {
+    options[key] = this.options[key];
+  }, this);
+
+  options.request = chunk.request;
+
+  this.transaction = this.master.execute(options);
+  this.transaction.on('error', SUPPRESS_ERROR_FUNCTION);
+  this.transaction.once('finish', this.onChunkFinish.bind(this, chunk));
+};
+
+/**
+ * @private
+ * @param {BlockTransfer.Chunk} chunk
+ * @param {Error|null} error
+ * @param {Response|null} response
+ */
+BlockTransfer.prototype.onChunkFinish = function(chunk, error, response)
+{
+  this.transaction = null;
+
+  if (this.cancelled)
+  {
+    return;
+  }
+
+  if (error === null && response !== null && response.isException())
+  {
+    error = response;
+  }
+
+  if (error === null && chunk.getValues !== null)
+  {
+    // A short response would shift all the following values.
+    try
+    {
+      chunk.getValues(response, chunk);
+    }
+    catch (err)
+    {
+      error = err;
+    }
+  }
+
+  if (error !== null)
+  {
+    this.finish(this.createError(chunk, error));
+
+    return;
+  }
+
+  this.responses.push(response);
+
+  this.emit('chunk', chunk, response);
+
+  this.executeNextChunk();
+};
+
+/**
+ * @private
+ * @param {BlockTransfer.Chunk} chunk
+ * @param {Error|ExceptionResponse} cause
+ * @returns {BlockTransferError}
+ */
+BlockTransfer.prototype.createError = function(chunk, cause)
+{
+  var error = new errors.BlockTransferError(util.format(
+    "Chunk %d of %d (address %d, quantity %d) failed: %s",
+    this.chunkIndex + 1,
+    this.chunks.length,
+    chunk.address,
+    chunk.quantity,
+    cause instanceof Error ? cause.message : cause.toString()
+  ));
+
+  error.chunkIndex = this.chunkIndex;
+  error.chunkCount = this.chunks.length;
+  error.address = chunk.address;
+  error.quantity = chunk.quantity;
+  error.cause = cause;
+  error.result = this.getResult();
+
+  return error;
+};
+
+/**
+ * @private
+ * @param {BlockTransferError|null} error
+ */
+BlockTransfer.prototype.finish = function(error)
+{
+  var result = error === null ? this.getResult() : null;
+
+  if (error === null)
+  {
+    this.emit('response', result);
+  }
+  else
+  {
+    this.emit('error', error);
+  }
+
+  this.emit('complete', error, result);
+};
+
+/**
+ * @private
+ * @param {object.<string, object>} definitions
+ * @param {string} block
+ * @returns {object}
+ * @throws {Error}
+ */
+function getDefinition(definitions, block)
+{
+  if (!definitions.hasOwnProperty(block))
+  {
+    throw new Error(util.format(
+      "Unknown block type. Expected one of: %s, got: %s",
+      Object.keys(definitions).join(', '),
+      block
+    ));
+  }
+
+  return definitions[block];
+}
+
+/**
+ * @private
+ * @param {number} address
+ * @param {number} quantity
+ * @throws {Error}
+ */
+function assertRange(address, quantity)
+{
+  if (typeof quantity !== 'number' || quantity < 1)
+  {
+    throw new Error(util.format(
+      "Quantity must be a number greater than 0, got: %s", quantity
+    ));
+  }
+
+  if (typeof address !== 'number' || address < 0
+    || address + quantity > 0x10000)
+  {
+    throw new Error(util.format(
+      "The block must fit in the address range 0 to 0xFFFF, "
+        + "got address %s and quantity %d.",
+      address,
+      quantity
+    ));
+  }
+}
+
+/**
+ * @private
+ * @param {ReadCoilsResponse|ReadDiscreteInputsResponse} response
+ * @param {BlockTransfer.Chunk} chunk
+ * @returns {Array.<boolean>}
+ */
+function getStates(response, chunk)
+{
+  // The states are padded to a full byte.
+  return sliceValues(response.getStates(), chunk.quantity);
+}
+
+/**
+ * @private
+ * @param {ReadHoldingRegistersResponse|ReadInputRegistersResponse} response
+ * @param {BlockTransfer.Chunk} chunk
+ * @returns {Buffer}
+ * @throws {InvalidResponseDataError}
+ */
+function getRegisterValues(response, chunk)
+{
+  return sliceValues(response.getValues(), chunk.quantity * 2);
+}
+
+/**
+ * @private
+ * @param {ReadMemoryResponse} response
+ * @param {BlockTransfer.Chunk} chunk
+ * @returns {Buffer}
+ * @throws {InvalidResponseDataError}
+ */
+function getMemoryValues(response, chunk)
+{
+  return sliceValues(response.getValues(), chunk.quantity);
+}
+
+/**
+ * @private
+ * @param {Buffer|Array.<boolean>} values
+ * @param {number} length An expected number of the values.
+ * @returns {Buffer|Array.<boolean>}
+ * @throws {InvalidResponseDataError} If there are less values than expected.
+ */
+function sliceValues(values, length)
+{
+  if (values.length < length)
+  {
+    throw new errors.InvalidResponseDataError(util.format(
+      "Expected at least %d items in the response, got %d.",
+      length,
+      values.length
+    ));
+  }
+
+  return values.slice(0, length);
+}
@@ -0,0 +1,120 @@
+'use strict';
+
+var util = require('util');
+var BlockTransfer = require('./BlockTransfer');
+var functions = require('./functions');
+
+module.exports = DeviceIdentificationTransfer;
+
+/**
+ * A read of the device identification objects that follows the slave's
+ * `more follows` flag.
+ *
+ * A slave may not fit all the requested objects in one response. In that case,
+ * another request is sent, starting from the next object ID reported by
+ * the slave, until the slave says that no more objects follow.
+ * The `address` of each chunk is the ID of the first object it requested.
+ *
+ * @constructor
+ * @extends {BlockTransfer}
+ * @param {Master} master
+ * @param {number|string} readCode A Read Device ID code (a number between
+ * 1 and 4) or one of the `ReadDeviceIdentificationRequest.ACCESS` names.
+ * @param {number} objectId An ID of the first object to read.
+ * @param {object} options Options applied to each chunk's transaction.
+ * @throws {Error} If the `readCode` or the `objectId` is invalid.
+ */
+function DeviceIdentificationTransfer(master, readCode, objectId, options)
+{
+  var request =
+    new functions.ReadDeviceIdentificationRequest(readCode, objectId);
+
+  BlockTransfer.call(
+    this,
+    master,
+    [createChunk(request)],
+    options
+  );
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.readCode = request.getReadCode();
+}
+
+util.inherits(DeviceIdentificationTransfer, BlockTransfer);
+
+/**
+ * Returns the objects read by the successful chunks, merged into one map.
+ *
+ * @returns {object.<string, (string|Buffer)>} Values of the objects
+ * by their names (see `ReadDeviceIdentificationResponse.getNamedObjects()`).
+ */
+DeviceIdentificationTransfer.prototype.getValues = function()
+{
+  var values = {};
+
+  this.responses.forEach(function(response)
+  {
+    var namedObjects = response.getNamedObjects();
+
+    Object.keys(namedObjects).forEach(function(name)
+    {
+      values[name] = namedObjects[name];
+    });
+  });
+
+  return values;
+};
+
+/**
+ * @private
+ * @param {BlockTransfer.Chunk} chunk
+ * @param {Error|null} error
+ * @param {Response|null} response
+ */
+DeviceIdentificationTransfer.prototype.onChunkFinish =
+  function(chunk, error, response)
+{
+  var individual = functions.ReadDeviceIdentificationRequest.ACCESS.individual;
+
+  if (error === null
+    && !response.isException()
+    && response.isMoreFollows()
+    && this.readCode !== individual)
+  {
+    var nextObjectId = response.getNextObjectId();
+
+    // Each continuation must move forward, so a misbehaving slave
+    // can not keep the transfer going forever.
+    if (nextObjectId <= chunk.address)
+    {
+      error = new Error(util.format(
+        "Expected the next object ID to be greater than %d, got: %d",
+        chunk.address,
+        nextObjectId
+      ));
+    }
+    else
+    {
+      this.chunks.push(createChunk(
+        new functions.ReadDeviceIdentificationRequest(
+          this.readCode, nextObjectId
+        )
+      ));
+    }
+  }
+
+  BlockTransfer.prototype.onChunkFinish.call(this, chunk, error, response);
+};
+
+/**
+ * @private
+ * @param {ReadDeviceIdentificationRequest} request
+ * @returns {BlockTransfer.Chunk}
+ */
+function createChunk(request)
+{
+  return new BlockTransfer.Chunk(request.getObjectId(), 1, request, null);
+}
@@ -0,0 +1,212 @@
+'use strict';
+
+var functions = require('./functions');
+var isOptionsArgument = require('./functions/util').isOptionsArgument;
+
+module.exports = Diagnostics;
+
+/**
+ * Methods of the counter sub-functions of the diagnostics function (0x08)
+ * by their sub-function codes.
+ *
+ * @private
+ * @const
+ * @type {object.<string, number>}
+ */
+var COUNTERS = {
+  getBusMessageCount: 0x0B,
+  getBusCommunicationErrorCount: 0x0C,
+  getBusExceptionErrorCount: 0x0D,
+  getSlaveMessageCount: 0x0E,
+  getSlaveNoResponseCount: 0x0F,
+  getSlaveNakCount: 0x10,
+  getSlaveBusyCount: 0x11,
+  getBusCharacterOverrunCount: 0x12
+};
+
+/**
+ * The sub-functions of the diagnostics function (0x08), available through
+ * `Master.diagnostics`.
+ *
+ * Each method accepts an optional unit (overriding the `unit` option)
+ * followed by the usual transaction options, and returns a `Transaction`
+ * (or a Promise) of a `ReadDiagnosticsResponse`.
+ *
+ * The counter methods are: `getBusMessageCount()`,
+ * `getBusCommunicationErrorCount()`, `getBusExceptionErrorCount()`,
+ * `getSlaveMessageCount()`, `getSlaveNoResponseCount()`, `getSlaveNakCount()`,
+ * `getSlaveBusyCount()` and `getBusCharacterOverrunCount()`. The value
+ * of the counter is available through `ReadDiagnosticsResponse.getCount()`.
+ *
+ * @constructor
+ * @param {Master} master
+ */
+function Diagnostics(master)
+{
+  /**
+   * @private
+   * @type {Master}
+   */
+  this.master = master;
+}
+
+/**
+ * Sends the specified data to be echoed back by the slave (sub-function 0x00).
+ *
+ * @param {number|Buffer} [unit] The unit or, if omitted, the `data`.
+ * @param {Buffer|number} [data] A buffer of even length between 2 and 250,
+ * or a single 16-bit word. Defaults to 0x0000.
+ * @param {function|object} [options]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Diagnostics.prototype.returnQueryData = function(unit, data, options)
+{
+  if (Buffer.isBuffer(unit))
+  {
+    options = data;
+    data = unit;
+    unit = undefined;
+  }
+  else if (isOptionsArgument(data) && !Buffer.isBuffer(data))
+  {
+    options = data;
+    data = undefined;
+  }
+
+  return this.execute(0x00, data, unit, options);
+};
+
+/**
+ * Restarts the serial line port of the slave and brings it out
+ * of the listen only mode (sub-function 0x01).
+ *
+ * @param {number|boolean} [unit] The unit or, if omitted, the `clearLog`.
+ * @param {boolean} [clearLog] Whether the communications event log should be
+ * cleared too. Defaults to `false`.
+ * @param {function|object} [options]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Diagnostics.prototype.restartCommunications = function(
+  unit, clearLog, options)
+{
+  if (typeof unit === 'boolean')
+  {
+    options = clearLog;
+    clearLog = unit;
+    unit = undefined;
+  }
+  else if (isOptionsArgument(clearLog))
+  {
+    options = clearLog;
+    clearLog = false;
+  }
+
+  return this.execute(0x01, clearLog ? 0xFF00 : 0x0000, unit, options);
+};
+
+/**
+ * Forces the slave into the listen only mode (sub-function 0x04).
+ *
+ * The slave does not respond to this request, so the transaction ends with
+ * a `ResponseTimeoutError` once the request was sent. The `maxRetries` option
+ * defaults to 0. Broadcast to unit 0 on a serial line, it completes without
+ * a response instead. Use `restartCommunications()` to bring the slave back.
+ *
+ * @param {number} [unit]
+ * @param {function|object} [options]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Diagnostics.prototype.forceListenOnly = function(unit, options)
+{
+  options = prepareOptions(unit, options);
+
+  if (typeof options.maxRetries === 'undefined')
+  {
+    options.maxRetries = 0;
+  }
+
+  return this.execute(0x04, 0x0000, options);
+};
+
+/**
+ * Clears all the counters and the diagnostic register of the slave
+ * (sub-function 0x0A).
+ *
+ * @param {number} [unit]
+ * @param {function|object} [options]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Diagnostics.prototype.clearCounters = function(unit, options)
+{
+  return this.execute(0x0A, 0x0000, unit, options);
+};
+
+Object.keys(COUNTERS).forEach(function(method)
+{
+  var subFunction = COUNTERS[method];
+
+  /**
+   * @param {number} [unit]
+   * @param {function|object} [options]
+   * @returns {Transaction|Promise.<Response>}
+   * @throws {Error}
+   */
+  Diagnostics.prototype[method] = function(unit, options)
+  {
+    return this.execute(subFunction, 0x0000, unit, options);
+  };
+});
+
+/**
+ * @private
+ * @param {number} subFunction
+ * @param {Buffer|number} data
+ * @param {number|function|object} [unit]
+ * @param {function|object} [options]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Diagnostics.prototype.execute = function(subFunction, data, unit, options)
+{
+  options = prepareOptions(unit, options);
+  options.request = new functions.ReadDiagnosticsRequest(subFunction, data);
+
+  return this.master.execute(options);
+};
+
+/**
+ * @private
+ * @param {number|function|object} [unit]
+ * @param {function|object} [options]
+ * @returns {object}
+ */
+function prepareOptions(unit, options)
+{
+  if (isOptionsArgument(unit))
+  {
+    options = unit;
+    unit = undefined;
+  }
+
+  var optionsType = typeof options;
+
+  if (optionsType === 'function')
+  {
+    options = {onComplete: options};
+  }
+  else if (optionsType !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  if (typeof unit === 'number')
+  {
+    options.unit = unit;
+  }
+
+  return options;
+}
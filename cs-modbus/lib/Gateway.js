@@ -0,0 +1,277 @@
+'use strict';
+
+var util = require('util');
+var Slave = require('./Slave');
+var Request = require('./functions/Request');
+var Response = require('./functions/Response');
+var ExceptionResponse = require('./functions/ExceptionResponse');
+
+module.exports = Gateway;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+var GATEWAY_PATH_UNAVAILABLE = 0x0A;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+var GATEWAY_TARGET_FAILED = 0x0B;
+
+/**
+ * A gateway forwarding the request PDUs received by its transports
+ * (usually Modbus TCP connections) through a `Master` (usually an RTU one)
+ * to the unit specified in the request and answering with the PDUs
+ * received from that unit.
+ *
+ * The PDUs are forwarded as is, so any function code is supported.
+ * The requests are answered with the Gateway Path Unavailable exception
+ * (0x0A) if the connection of the master is not open and with the Gateway
+ * Target Device Failed To Respond exception (0x0B) if the unit did not
+ * respond (or responded with an invalid frame).
+ *
+ * @constructor
+ * @extends {Slave}
+ * @param {Gateway.Options|object} options
+ */
+function Gateway(options)
+{
+  Slave.call(
+    this,
+    options instanceof Gateway.Options ? options : new Gateway.Options(options)
+  );
+
+  /**
+   * @private
+   * @type {Master}
+   */
+  this.master = this.options.master;
+}
+
+util.inherits(Gateway, Slave);
+
+/**
+ * @constructor
+ * @extends {Slave.Options}
+ * @param {object} options
+ * @param {Master} options.master
+ * @param {number|Array.<number>} [options.units]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ */
+Gateway.Options = function(options)
+{
+  Slave.Options.call(this, options);
+
+  /**
+   * @type {Master}
+   */
+  this.master = options.master;
+
+  /**
+   * A response timeout of the forwarded requests (`-1` to use the default
+   * timeout of the master).
+   *
+   * @type {number}
+   */
+  this.timeout = typeof options.timeout === 'number' ? options.timeout : -1;
+
+  /**
+   * A maximum number of retries of the forwarded requests (`-1` to use
+   * the default of the master).
+   *
+   * @type {number}
+   */
+  this.maxRetries = typeof options.maxRetries === 'number'
+    ? options.maxRetries
+    : -1;
+};
+
+util.inherits(Gateway.Options, Slave.Options);
+
+/**
+ * A request forwarded by the gateway as is.
+ *
+ * @constructor
+ * @extends {Request}
+ * @param {Buffer} pdu
+ */
+Gateway.ForwardedRequest = function(pdu)
+{
+  Request.call(this, pdu[0]);
+
+  /**
+   * @private
+   * @type {Buffer}
+   */
+  this.pdu = pdu;
+};
+
+util.inherits(Gateway.ForwardedRequest, Request);
+
+/**
+ * @returns {Buffer}
+ */
+Gateway.ForwardedRequest.prototype.toBuffer = function()
+{
+  return this.pdu;
+};
+
+/**
+ * @returns {string}
+ */
+Gateway.ForwardedRequest.prototype.toString = function()
+{
+  return util.format(
+    "0x%s (REQ) Forwarded: %s",
+    toHex(this.getCode()),
+    this.pdu.toString('hex')
+  );
+};
+
+/**
+ * @param {Buffer} responseBuffer
+ * @returns {Response}
+ */
+Gateway.ForwardedRequest.prototype.createResponse = function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    Gateway.ForwardedResponse
+  );
+};
+
+/**
+ * A response received by the gateway and returned as is.
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {Buffer} pdu
+ */
+Gateway.ForwardedResponse = function(pdu)
+{
+  Response.call(this, pdu[0]);
+
+  /**
+   * @private
+   * @type {Buffer}
+   */
+  this.pdu = pdu;
+};
+
+util.inherits(Gateway.ForwardedResponse, Response);
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Gateway.ForwardedResponse}
+ */
+Gateway.ForwardedResponse.fromBuffer = function(buffer)
+{
+  return new Gateway.ForwardedResponse(buffer);
+};
+
+/**
+ * @returns {Buffer}
+ */
+Gateway.ForwardedResponse.prototype.toBuffer = function()
+{
+  return this.pdu;
+};
+
+/**
+ * @returns {string}
+ */
+Gateway.ForwardedResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x%s (RES) Forwarded: %s",
+    toHex(this.getCode()),
+    this.pdu.toString('hex')
+  );
+};
+
+/**
+ * The master is not destroyed with the gateway.
+ */
+Gateway.prototype.destroy = function()
+{
+  Slave.prototype.destroy.call(this);
+
+  this.master = null;
+};
+
+/**
+ * @returns {Master}
+ */
+Gateway.prototype.getMaster = function()
+{
+  return this.master;
+};
+
+/**
+ * @protected
+ * @param {number} unit
+ * @param {Buffer} pdu
+ * @param {function(Request|null, Response)} done
+ */
+Gateway.prototype.handleRequest = function(unit, pdu, done)
+{
+  var request = new Gateway.ForwardedRequest(pdu);
+
+  this.emit('request', unit, request);
+
+  // Unit 0 is a broadcast on a serial line, which would not be answered.
+  if (!this.master.isConnected()
+    || (unit === 0 && this.master.getTransport().supportsBroadcast()))
+  {
+    return done(
+      request,
+      new ExceptionResponse(request.getCode(), GATEWAY_PATH_UNAVAILABLE)
+    );
+  }
+
+  var options = {
+    request: request,
+    unit: unit,
+    // Exceptions of the device are forwarded as they are.
+    exceptionsAsErrors: false,
+    onComplete: function(err, response)
+    {
+      done(
+        request,
+        err
+          ? new ExceptionResponse(request.getCode(), GATEWAY_TARGET_FAILED)
+          : response
+      );
+    }
+  };
+
+  if (this.options.timeout !== -1)
+  {
+    options.timeout = this.options.timeout;
+  }
+
+  if (this.options.maxRetries !== -1)
+  {
+    options.maxRetries = this.options.maxRetries;
+  }
+
+  var transaction = this.master.execute(options);
+
+  // Errors are answered with an exception and must not be thrown.
+  transaction.on('error', function() {});
+};
+
+/**
+ * @private
+ * @param {number} byt3
+ * @returns {string}
+ */
+function toHex(byt3)
+{
+  return (byt3 < 0x10 ? '0' : '') + byt3.toString(16).toUpperCase();
+}
@@ -4,6 +4,18 @@ var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var functions = require('./functions');
 var Transaction = require('./Transaction');
+var TransactionQueue = require('./TransactionQueue');
+var BlockTransfer = require('./BlockTransfer');
+var DeviceIdentificationTransfer = require('./DeviceIdentificationTransfer');
+var TagTransfer = require('./TagTransfer');
+var RegisterMap = require('./RegisterMap');
+var PollPlanner = require('./PollPlanner');
+var Subscription = require('./Subscription');
+var Diagnostics = require('./Diagnostics');
+var Stats = require('./Stats');
+var RetryPolicy = require('./RetryPolicy');
+var errors = require('./errors');
+var isOptionsArgument = require('./functions/util').isOptionsArgument;
 
 module.exports = Master;
 
@@ -14,6 +26,27 @@ module.exports = Master;
  */
 var SUPPRESS_ERROR_FUNCTION = function() {};
 
+/**
+ * Options of `readBlock()` and `writeBlock()` that apply to the whole
+ * transfer, instead of each chunk.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+var BLOCK_TRANSFER_OPTIONS = [
+  'onResponse', 'onError', 'onComplete', 'promise', 'maxGap', 'holes'
+];
+
+/**
+ * Options of `pollTags()` that are not applied to the poll transactions.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+var POLL_OPTIONS = ['onResponse', 'onComplete', 'promise', 'maxGap', 'holes'];
+
 /**
  * @constructor
  * @param {Master.Options|object} options
@@ -22,6 +55,10 @@ var SUPPRESS_ERROR_FUNCTION = function() {};
  * @event disconnected Emitted only when the underlying `Connection` emits the
  * first `close` event after the `open` event.
  * @event error Alias to the `error` event of the underlying `Connection`.
+ * @event unitOffline Emitted with the unit identifier when the unit failed
+ * to respond to `unitOfflineThreshold` consecutive requests.
+ * @event unitOnline Emitted with the unit identifier when an offline unit
+ * responded again.
  */
 function Master(options)
 {
@@ -55,9 +92,9 @@ function Master(options)
 
   /**
    * @private
-   * @type {Array.<Transaction>}
+   * @type {TransactionQueue}
    */
-  this.transactionQueue = [];
+  this.transactionQueue = new TransactionQueue();
 
   /**
    * @private
@@ -71,7 +108,27 @@ function Master(options)
    */
   this.repeatableTransactions = [];
 
+  /**
+   * @private
+   * @type {object.<number, Master.UnitState>}
+   */
+  this.unitStates = {};
+
+  /**
+   * @private
+   * @type {Stats}
+   */
+  this.stats = new Stats();
+
+  /**
+   * The sub-functions of the diagnostics function (0x08).
+   *
+   * @type {Diagnostics}
+   */
+  this.diagnostics = new Diagnostics(this);
+
   this.setUpConnection();
+  this.setUpTransport();
 }
 
 util.inherits(Master, EventEmitter);
@@ -82,12 +139,17 @@ util.inherits(Master, EventEmitter);
  * @param {Transport} options.transport
  * @param {boolean} [options.suppressTransactionErrors]
  * @param {boolean} [options.retryOnException]
+ * @param {boolean} [options.exceptionsAsErrors]
+ * @param {object.<number, object>} [options.exceptionPolicies]
+ * @param {RetryPolicy|object} [options.retryPolicy]
  * @param {number} [options.maxConcurrentRequests]
  * @param {number} [options.defaultUnit]
  * @param {number} [options.defaultMaxRetries]
  * @param {boolean} [options.defaultTimeout]
- * 
- *
+ * @param {number} [options.broadcastTurnaround]
+ * @param {number} [options.unitOfflineThreshold]
+ * @param {number} [options.unitProbeInterval]
+ * @param {object} [options.unitProbeRequest]
  */
 Master.Options = function(options)
 {
@@ -111,6 +173,37 @@ Master.Options = function(options)
     ? options.retryOnException
     : true;
 
+  /**
+   * Whether the exception responses are emitted as `error` events (and
+   * reject the Promises) with an `ExceptionError` subclass, for example
+   * `IllegalDataAddressError`, instead of being emitted as `response`
+   * events. Can be overridden per transaction.
+   *
+   * @type {boolean}
+   */
+  this.exceptionsAsErrors = typeof options.exceptionsAsErrors === 'boolean'
+    ? options.exceptionsAsErrors
+    : false;
+
+  /**
+   * How the exception responses are retried (if `retryOnException` is set),
+   * by the exception code. The specified policy options are merged with
+   * `Master.DEFAULT_EXCEPTION_POLICIES`. Exceptions without a policy are
+   * retried immediately.
+   *
+   * @type {object.<number, Master.ExceptionPolicy>}
+   */
+  this.exceptionPolicies = prepareExceptionPolicies(options.exceptionPolicies);
+
+  /**
+   * The default retry policy of the transactions (see `RetryPolicy`).
+   * Used for the errors and for the exceptions without an exception policy.
+   * Defaults to retrying immediately.
+   *
+   * @type {RetryPolicy}
+   */
+  this.retryPolicy = RetryPolicy.fromOptions(options.retryPolicy);
+
   /**
    * @type {number}
    */
@@ -138,6 +231,49 @@ Master.Options = function(options)
   this.defaultTimeout = typeof options.defaultTimeout === 'number'
     ? options.defaultTimeout
     : 100;
+
+  /**
+   * A number of milliseconds after which a broadcast (a write to unit 0 over
+   * a serial line) is considered complete, since it is never answered.
+   * Should cover the time needed to transmit the request and for the slaves
+   * to process it.
+   *
+   * @type {number}
+   */
+  this.broadcastTurnaround = typeof options.broadcastTurnaround === 'number'
+    ? options.broadcastTurnaround
+    : 100;
+
+  /**
+   * A number of consecutive failed requests after which the unit is
+   * considered offline. `0` disables the offline detection.
+   *
+   * @type {number}
+   */
+  this.unitOfflineThreshold = typeof options.unitOfflineThreshold === 'number'
+    ? options.unitOfflineThreshold
+    : 0;
+
+  /**
+   * A number of milliseconds between the probe requests sent to
+   * the offline units.
+   *
+   * @type {number}
+   */
+  this.unitProbeInterval = typeof options.unitProbeInterval === 'number'
+    ? options.unitProbeInterval
+    : 5000;
+
+  /**
+   * Options of the request sent to probe the offline units
+   * (see `Request.fromOptions()`).
+   *
+   * @type {object}
+   */
+  this.unitProbeRequest = typeof options.unitProbeRequest === 'object'
+    && options.unitProbeRequest !== null
+      ? options.unitProbeRequest
+      : {code: 0x11};
     
      /**
    * @type {boolean} moved to transport options - rtu 
@@ -180,6 +316,136 @@ Master.prototype.destroy = function()
   }
 };
 
+/**
+ * @constructor
+ */
+Master.UnitState = function()
+{
+  /**
+   * A number of consecutive failed requests.
+   *
+   * @type {number}
+   */
+  this.failures = 0;
+
+  /**
+   * @type {boolean}
+   */
+  this.offline = false;
+
+  /**
+   * A repeatable transaction probing the unit while it is offline.
+   *
+   * @type {Transaction|null}
+   */
+  this.probe = null;
+};
+
+/**
+ * How the master handles the exception responses with a specific
+ * exception code.
+ *
+ * @constructor
+ * @param {object} options
+ * @param {boolean} [options.retry]
+ * @param {number} [options.delay]
+ * @param {number} [options.multiplier]
+ * @param {number} [options.maxDelay]
+ * @param {object|null} [options.poll]
+ * @param {number} [options.maxPolls]
+ */
+Master.ExceptionPolicy = function(options)
+{
+  /**
+   * Whether the request is retried (while the transaction has retries left).
+   *
+   * @type {boolean}
+   */
+  this.retry = typeof options.retry === 'boolean' ? options.retry : true;
+
+  /**
+   * A number of milliseconds to wait before the first retry (or poll).
+   *
+   * @type {number}
+   */
+  this.delay = typeof options.delay === 'number' ? options.delay : 0;
+
+  /**
+   * The delay is multiplied by this factor after each consecutive failure.
+   *
+   * @type {number}
+   */
+  this.multiplier = typeof options.multiplier === 'number'
+    ? options.multiplier
+    : 1;
+
+  /**
+   * A maximum number of milliseconds to wait before a retry (or poll).
+   *
+   * @type {number}
+   */
+  this.maxDelay = typeof options.maxDelay === 'number'
+    ? options.maxDelay
+    : Infinity;
+
+  /**
+   * Options of the request sent to poll the unit until it is no longer busy
+   * (see `Request.fromOptions()`), before the request is retried.
+   * `null` retries the request without polling.
+   *
+   * @type {object|null}
+   */
+  this.poll = typeof options.poll === 'object' ? options.poll : null;
+
+  /**
+   * A maximum number of polls, after which the transaction is finished
+   * with the exception.
+   *
+   * @type {number}
+   */
+  this.maxPolls = typeof options.maxPolls === 'number'
+    ? options.maxPolls
+    : 20;
+};
+
+/**
+ * @param {number} attempt A number of the consecutive failures so far,
+ * starting from 1.
+ * @returns {number} A number of milliseconds to wait before the next retry
+ * (or poll).
+ */
+Master.ExceptionPolicy.prototype.getDelay = function(attempt)
+{
+  return Math.min(
+    this.delay * Math.pow(this.multiplier, attempt - 1),
+    this.maxDelay
+  );
+};
+
+/**
+ * Options of the default exception policies (see `Master.ExceptionPolicy`).
+ *
+ * The illegal function, data address and data value exceptions (0x01-0x03)
+ * are never retried, because the same request will fail the same way.
+ * After the acknowledge exception (0x05), the unit is polled with
+ * the get comm event counter request (0x0B) until it completes the long
+ * operation (for example, a memory or EEPROM write). Then a read request
+ * is sent again to get its data, and a write request is finished without
+ * a response (see `Master.prototype.pollUntilReady()`). After the slave
+ * device busy exception (0x06), the request is retried with an exponential
+ * backoff.
+ *
+ * @const
+ * @type {object.<number, object>}
+ */
+Master.DEFAULT_EXCEPTION_POLICIES = {
+  0x01: {retry: false},
+  0x02: {retry: false},
+  0x03: {retry: false},
+  0x05: {delay: 250, poll: {code: 0x0B}, maxPolls: 40},
+  0x06: {delay: 100, multiplier: 2, maxDelay: 2000}
+};
+
 /**
  * @returns {Transport}
  */
@@ -204,14 +470,80 @@ Master.prototype.isConnected = function()
   return this.connection.isOpen();
 };
 
+/**
+ * @param {number} unit
+ * @returns {boolean} Whether the unit is considered offline.
+ */
+Master.prototype.isUnitOffline = function(unit)
+{
+  var unitState = this.unitStates[unit];
+
+  return typeof unitState !== 'undefined' && unitState.offline;
+};
+
+/**
+ * @returns {Array.<number>} Identifiers of the units considered offline.
+ */
+Master.prototype.getOfflineUnits = function()
+{
+  var unitStates = this.unitStates;
+
+  return Object.keys(unitStates)
+    .filter(function(unit) { return unitStates[unit].offline; })
+    .map(Number);
+};
+
+/**
+ * Returns a snapshot of the communication statistics.
+ *
+ * The snapshot contains the `total`, per unit (`units`) and per function code
+ * (`functions`) counters of the requests, responses, exceptions (by
+ * the exception code), timeouts, checksum errors, incomplete frames, other
+ * errors, retries and a histogram of the response latency (in milliseconds).
+ * It also contains the current state of the transaction `queue`.
+ *
+ * @returns {object}
+ */
+Master.prototype.getStats = function()
+{
+  var stats = this.stats.toJSON();
+
+  stats.queue = {
+    length: this.transactionQueue.length,
+    lanes: this.transactionQueue.getLengths(),
+    executing: this.executingRequests
+  };
+
+  return stats;
+};
+
+/**
+ * Clears all the communication statistics counters.
+ */
+Master.prototype.resetStats = function()
+{
+  this.stats.reset();
+};
+
 /**
  * @param {Transaction|object} options
- * @returns {Transaction}
+ * @param {string} [options.priority] A queue lane of the transaction:
+ * `high`, `normal` (default) or `background`.
+ * @param {boolean} [options.exceptionsAsErrors] Overrides the master's
+ * `exceptionsAsErrors` option for this transaction.
+ * @param {RetryPolicy|object} [options.retryPolicy] Overrides the master's
+ * `retryPolicy` option for this transaction.
+ * @param {boolean} [options.promise] If `true`, a Promise is returned instead
+ * of the Transaction (see `Master.prototype.createPromise()`).
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.execute = function(options)
 {
   var transaction = this.createTransaction(options);
+  var result = options.promise === true
+    ? this.createPromise(transaction)
+    : transaction;
 
   if (transaction.isRepeatable())
   {
@@ -221,7 +553,75 @@ Master.prototype.execute = function(options)
   this.transactionQueue.push(transaction);
   this.executeQueuedTransactions();
 
-  return transaction;
+  return result;
+};
+
+/**
+ * Executes the transaction and returns a Promise of its final outcome.
+ *
+ * Same as calling `execute()` with the `promise` option set to `true`.
+ *
+ * @param {Transaction|object} options
+ * @returns {Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.executeAsync = function(options)
+{
+  if (options instanceof Transaction)
+  {
+    return this.createPromise(this.execute(options));
+  }
+
+  // The caller's options may be reused, so they are left as they are.
+  var promiseOptions = {};
+
+  Object.keys(options).forEach(function(key)
+  {
+    promiseOptions[key] = options[key];
+  });
+
+  promiseOptions.promise = true;
+
+  return this.execute(promiseOptions);
+};
+
+/**
+ * Executes the specified request.
+ *
+ * The request can be an instance of any of the built-in request classes
+ * (see `functions`) or of a custom class (see `functions.register()`).
+ *
+ * @param {Request} request
+ * @param {function|object} [options] A callback (used as the `onComplete`
+ * option) or the transaction options.
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.request = function(request, options)
+{
+  var optionsType = typeof options;
+
+  if (optionsType === 'function')
+  {
+    options = {onComplete: options};
+  }
+  else if (optionsType !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  options.request = request;
+
+  return this.execute(options);
 };
 
 /**
@@ -232,10 +632,12 @@ Master.prototype.execute = function(options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.readCoils = function(address, quantity, options)
@@ -254,10 +656,12 @@ Master.prototype.readCoils = function(address, quantity, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.readDiscreteInputs = function(address, quantity, options)
@@ -276,10 +680,12 @@ Master.prototype.readDiscreteInputs = function(address, quantity, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.readHoldingRegisters = function(address, quantity, options)
@@ -298,10 +704,12 @@ Master.prototype.readHoldingRegisters = function(address, quantity, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.readInputRegisters = function(address, quantity, options)
@@ -319,10 +727,12 @@ Master.prototype.readInputRegisters = function(address, quantity, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.readFileRecord = function(subRequests, options)
@@ -339,10 +749,12 @@ Master.prototype.readFileRecord = function(subRequests, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.reportSlaveId = function(options)
@@ -353,164 +765,262 @@ Master.prototype.reportSlaveId = function(options)
   );
 };
 
-/*
- * @param {number} value the diagnostic command
+/**
+ * Reads the eight exception status bits of the slave (function 0x07).
+ *
  * @param {function|object} [options]
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
-Master.prototype.readDiagnostics = function(value, options)
+Master.prototype.readExceptionStatus = function(options)
 {
   return this.request(
-    new functions.ReadDiagnosticsRequest(value),
+    new functions.ReadExceptionStatusRequest(),
     options
   );
 };
 
-
 /**
- * @param {number} FIFO Id
- * @param {number} max max number of bytes
+ * Executes the specified sub-function of the diagnostics function (0x08).
+ *
+ * See `Master.diagnostics` for the methods of the particular sub-functions.
+ *
+ * @param {number|string} subFunction A sub-function code or one of
+ * the `ReadDiagnosticsRequest.SUB_FUNCTIONS` names.
+ * @param {Buffer|number} [data] A buffer of even length between 2 and 250,
+ * or a single 16-bit word. Defaults to 0x0000.
  * @param {function|object} [options]
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
-Master.prototype.readFifo8 = function(id, max, options)
+Master.prototype.readDiagnostics = function(subFunction, data, options)
 {
-  if( 'object' === typeof( max ))
+  if (isOptionsArgument(data) && !Buffer.isBuffer(data))
   {
-    // deal with omitted max parameter
-    options = max;
-    max = null;
+    options = data;
+    data = undefined;
   }
 
   return this.request(
-    new functions.ReadFifo8Request(id, max),
+    new functions.ReadDiagnosticsRequest(subFunction, data),
     options
   );
 };
 
 /**
- * @param {number} Object Id
  * @param {function|object} [options]
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
-Master.prototype.readObject = function(id, options)
+Master.prototype.getCommEventCounter = function(options)
 {
   return this.request(
-    new functions.ReadObjectRequest(id),
+    new functions.GetCommEventCounterRequest(),
     options
   );
 };
 
 /**
- * @param {number} address start address
- * @param {number} length number of bytes to read
+ * The events of the response are decoded by
+ * `GetCommEventLogResponse.getEvents()`.
+ *
  * @param {function|object} [options]
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
-Master.prototype.readMemory = function(
-  address, length, options)
+Master.prototype.getCommEventLog = function(options)
 {
-  if( 'object' === typeof( length ))
-  {
-    
-    length = 1;
-  }
-
   return this.request(
-    new functions.ReadMemoryRequest( address, length),
+    new functions.GetCommEventLogRequest(),
     options
   );
 };
 
 
 /**
- * @param {number} address
- * @param {boolean} state
+ * @param {number} FIFO Id
+ * @param {number} max max number of bytes
  * @param {function|object} [options]
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
-Master.prototype.writeSingleCoil = function(address, state, options)
+Master.prototype.readFifo8 = function(id, max, options)
 {
+  if( 'object' === typeof( max ))
+  {
+    // deal with omitted max parameter
+    options = max;
+    max = null;
+  }
+
   return this.request(
-    new functions.WriteSingleCoilRequest(address, state),
+    new functions.ReadFifo8Request(id, max),
     options
   );
 };
 
 /**
- * @param {number} address
- * @param {number} value
+ * @param {number} Object Id
  * @param {function|object} [options]
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
-Master.prototype.writeSingleRegister = function(address, value, options)
+Master.prototype.readObject = function(id, options)
 {
   return this.request(
-    new functions.WriteSingleRegisterRequest(address, value),
+    new functions.ReadObjectRequest(id),
     options
   );
 };
 
 /**
- * @param {number} address
- * @param {Array.<boolean>} states
+ * @param {number} address start address
+ * @param {number} length number of bytes to read
  * @param {function|object} [options]
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.readMemory = function(
+  address, length, options)
+{
+  if( 'object' === typeof( length ))
+  {
+    
+    length = 1;
+  }
+
+  return this.request(
+    new functions.ReadMemoryRequest( address, length),
+    options
+  );
+};
+
+
+/**
+ * @param {number} address
+ * @param {boolean} state
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.writeSingleCoil = function(address, state, options)
+{
+  return this.request(
+    new functions.WriteSingleCoilRequest(address, state),
+    options
+  );
+};
+
+/**
+ * @param {number} address
+ * @param {number} value
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.writeSingleRegister = function(address, value, options)
+{
+  return this.request(
+    new functions.WriteSingleRegisterRequest(address, value),
+    options
+  );
+};
+
+/**
+ * @param {number} address
+ * @param {Array.<boolean>} states
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.writeMultipleCoils = function(address, states, options)
@@ -529,10 +1039,12 @@ Master.prototype.writeMultipleCoils = function(address, states, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.writeMultipleRegisters = function(address, values, options)
@@ -543,6 +1055,137 @@ Master.prototype.writeMultipleRegisters = function(address, values, options)
   );
 };
 
+/**
+ * Sets the register to `(currentValue & andMask) | (orMask & ~andMask)`
+ * without the read-modify-write race.
+ *
+ * @param {number} address
+ * @param {number} andMask
+ * @param {number} orMask
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.maskWriteRegister = function(address, andMask, orMask, options)
+{
+  return this.request(
+    new functions.MaskWriteRegisterRequest(address, andMask, orMask),
+    options
+  );
+};
+
+/**
+ * Sets the specified bits of the register (using `maskWriteRegister()`).
+ *
+ * @param {number} address
+ * @param {number} mask A mask of the bits to set.
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.setBits = function(address, mask, options)
+{
+  return this.maskWriteRegister(address, ~mask & 0xFFFF, mask, options);
+};
+
+/**
+ * Clears the specified bits of the register (using `maskWriteRegister()`).
+ *
+ * @param {number} address
+ * @param {number} mask A mask of the bits to clear.
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.clearBits = function(address, mask, options)
+{
+  return this.maskWriteRegister(address, ~mask & 0xFFFF, 0, options);
+};
+
+/**
+ * Writes the specified registers and then reads the specified registers
+ * in a single transaction.
+ *
+ * @param {number} readAddress
+ * @param {number} readQuantity
+ * @param {number} writeAddress
+ * @param {Buffer} values
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.readWriteMultipleRegisters = function(
+  readAddress, readQuantity, writeAddress, values, options)
+{
+  return this.request(
+    new functions.ReadWriteMultipleRegistersRequest(
+      readAddress, readQuantity, writeAddress, values
+    ),
+    options
+  );
+};
+
+/**
+ * Reads the queued registers of the FIFO queue (function 0x18).
+ *
+ * @param {number} address An address of the FIFO count register.
+ * @param {function|object} [options]
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
+ * @throws {Error}
+ */
+Master.prototype.readFifoQueue = function(address, options)
+{
+  return this.request(
+    new functions.ReadFifoQueueRequest(address),
+    options
+  );
+};
+
 /**
  * @param {Array.<WriteFileSubRequest>} subRequests
  * @param {function|object} [options]
@@ -550,10 +1193,12 @@ Master.prototype.writeMultipleRegisters = function(address, values, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.writeFileRecord = function(subRequests, options)
@@ -572,10 +1217,12 @@ Master.prototype.writeFileRecord = function(subRequests, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.writeFifo8 = function(id, values, options)
@@ -594,10 +1241,12 @@ Master.prototype.writeFifo8 = function(id, values, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.writeObject = function(id, value, options)
@@ -616,10 +1265,12 @@ Master.prototype.writeObject = function(id, value, options)
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 
@@ -640,10 +1291,12 @@ Master.prototype.writeMemory = function(
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
- * @returns {Transaction}
+ * @param {boolean} [options.promise]
+ * @returns {Transaction|Promise.<Response>}
  * @throws {Error}
  */
 Master.prototype.command = function(id, values, options)
@@ -656,75 +1309,434 @@ Master.prototype.command = function(id, values, options)
 };
 
 /**
- * @private
+ * Reads a block of any size, split into as many requests as necessary.
+ *
+ * The chunks are executed one after another. The `onResponse` callback
+ * (or the Promise) receives the values of all chunks stitched together:
+ * a Buffer of the register values or memory bytes, or an array of the coil
+ * or input states. If any chunk fails, the transfer stops and the `onError`
+ * callback (or the Promise) receives a `BlockTransferError` saying which chunk
+ * failed and why.
+ *
+ * @param {string} block One of: `coils`, `discreteInputs`, `holdingRegisters`,
+ * `inputRegisters` or `memory`.
+ * @param {number} address A starting address.
+ * @param {number} quantity A number of the items (bytes in case of `memory`).
+ * @param {function|object} [options] The transaction options (`unit`,
+ * `timeout`, `maxRetries`, `priority`) are applied to each chunk.
+ * @param {number} [options.unit]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {BlockTransfer|Promise.<(Buffer|Array.<boolean>)>}
+ * @throws {Error}
  */
-Master.prototype.setUpConnection = function()
+Master.prototype.readBlock = function(block, address, quantity, options)
 {
-  this.connection.on('error', this.emit.bind(this, 'error'));
-  this.connection.on('open', this.onConnectionOpen.bind(this));
-  this.connection.on('close', this.onConnectionClose.bind(this));
+  options = prepareBlockOptions(options);
+
+  return this.startBlockTransfer(
+    BlockTransfer.read(this, block, address, quantity, options.chunk),
+    options.transfer
+  );
 };
 
 /**
- * @private
+ * Writes a block of any size, split into as many requests as necessary.
+ *
+ * The chunks are executed one after another. The `onResponse` callback
+ * (or the Promise) receives the responses of all chunks. If any chunk fails,
+ * the transfer stops and the `onError` callback (or the Promise) receives
+ * a `BlockTransferError` saying which chunk failed and why.
+ *
+ * @param {string} block One of: `coils`, `holdingRegisters` or `memory`.
+ * @param {number} address A starting address.
+ * @param {Buffer|Array.<boolean>} values An array of states for `coils`,
+ * a Buffer of the register values or memory bytes otherwise.
+ * @param {function|object} [options] The transaction options (`unit`,
+ * `timeout`, `maxRetries`, `priority`) are applied to each chunk.
+ * @param {number} [options.unit]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {BlockTransfer|Promise.<Array.<Response>>}
+ * @throws {Error}
  */
-Master.prototype.onConnectionOpen = function()
+Master.prototype.writeBlock = function(block, address, values, options)
 {
-  this.connected = true;
-  this.connectionCounter += 1;
-
-  this.queueRepeatableTransactions();
-  this.executeQueuedTransactions();
+  options = prepareBlockOptions(options);
 
-  this.emit('connected', this.connectionCounter);
+  return this.startBlockTransfer(
+    BlockTransfer.write(this, block, address, values, options.chunk),
+    options.transfer
+  );
 };
 
 /**
- * @private
+ * Reads the typed tags of a register map.
+ *
+ * The reads are planned by a `PollPlanner`: the tags of each address space
+ * are merged into as few requests as possible. The `onResponse` callback
+ * (or the Promise) receives the decoded and scaled values by the tag names
+ * (see `Register.decode()`). If any request fails, the transfer stops
+ * and the `onError` callback (or the Promise) receives
+ * a `BlockTransferError`, with the values read so far as its `result`.
+ *
+ * @param {RegisterMap|Array.<(Register|object)>} map
+ * @param {Array.<string>} [names] Names of the tags to read. Defaults to
+ * all readable tags of the map.
+ * @param {function|object} [options] The transaction options (`unit`,
+ * `timeout`, `maxRetries`, `priority`) are applied to each request.
+ * @param {number} [options.unit]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {number} [options.maxGap] See `PollPlanner`.
+ * @param {Array.<object>} [options.holes] See `PollPlanner`.
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {TagTransfer|Promise.<object>}
+ * @throws {Error} If any of the tags are invalid, unknown, not readable
+ * or lie in the holes.
  */
-Master.prototype.onConnectionClose = function()
+Master.prototype.readTags = function(map, names, options)
 {
-  if (this.connected)
+  if (!Array.isArray(names) && isOptionsArgument(names))
   {
-    this.emit('disconnected');
-
-    this.connected = false;
+    options = names;
+    names = undefined;
   }
+
+  options = prepareBlockOptions(options);
+
+  return this.startBlockTransfer(
+    TagTransfer.read(
+      this,
+      RegisterMap.fromOptions(map),
+      names,
+      new PollPlanner(options.transfer),
+      options.chunk
+    ),
+    options.transfer
+  );
 };
 
 /**
- * @private
- * @param {ModbusFunction} request
- * @param {function|object} [options]
- * @returns {Transaction}
+ * Writes the typed tags of a register map.
+ *
+ * The values are scaled and encoded (see `Register.encode()`), and
+ * the adjacent tags are written with one request. The `onResponse` callback
+ * (or the Promise) receives the responses of all requests. If any request
+ * fails, the transfer stops and the `onError` callback (or the Promise)
+ * receives a `BlockTransferError`.
+ *
+ * @param {RegisterMap|Array.<(Register|object)>} map
+ * @param {object.<string, *>} values Values to write, by the tag names.
+ * @param {function|object} [options] The transaction options (`unit`,
+ * `timeout`, `maxRetries`, `priority`) are applied to each request.
+ * @param {number} [options.unit]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {TagTransfer|Promise.<Array.<Response>>}
+ * @throws {Error} If any of the tags are invalid, unknown, not writable
+ * or overlap each other, or any of the values can not be encoded.
  */
-Master.prototype.request = function(request, options)
+Master.prototype.writeTags = function(map, values, options)
 {
-  var optionsType = typeof options;
+  options = prepareBlockOptions(options);
 
-  if (optionsType === 'function')
+  return this.startBlockTransfer(
+    TagTransfer.write(
+      this, RegisterMap.fromOptions(map), values, options.chunk
+    ),
+    options.transfer
+  );
+};
+
+/**
+ * Polls the typed tags of a register map.
+ *
+ * The reads are planned by a `PollPlanner` and each planned block is read
+ * by its own transaction. With the `interval` option, the transactions are
+ * repeatable, so the whole plan is polled until the transactions
+ * are cancelled. Each successful read calls the `onResponse` callback with
+ * the decoded values of the block's tags by their names
+ * (see `Register.decode()`) and the `PollPlanner.Block`. The exception
+ * responses are reported to the `onError` callback as the `ExceptionError`s,
+ * unless the `exceptionsAsErrors` option is set to `false`.
+ *
+ * @param {RegisterMap|Array.<(Register|object)>} map
+ * @param {Array.<string>} [names] Names of the tags to poll. Defaults to
+ * all readable tags of the map.
+ * @param {object} options The transaction options (`unit`, `interval`,
+ * `timeout`, `maxRetries`, `priority`, `onError`...) are applied to each
+ * transaction.
+ * @param {number} [options.unit]
+ * @param {number} [options.interval]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {number} [options.maxGap] See `PollPlanner`.
+ * @param {Array.<object>} [options.holes] See `PollPlanner`.
+ * @param {function(object.<string, *>, PollPlanner.Block)} [options.onResponse]
+ * @param {function(Error)} [options.onError]
+ * @returns {Array.<Transaction>} The transactions of the planned blocks.
+ * @throws {Error} If any of the tags are invalid, unknown, not readable
+ * or lie in the holes.
+ */
+Master.prototype.pollTags = function(map, names, options)
+{
+  if (!Array.isArray(names) && isOptionsArgument(names))
   {
-    options = {onComplete: options};
+    options = names;
+    names = undefined;
   }
-  else if (optionsType !== 'object' || options === null)
+
+  if (typeof options !== 'object' || options === null)
   {
     options = {};
   }
 
-  options.request = request;
+  var registers = RegisterMap.fromOptions(map).getReadableRegisters(names);
+  var blocks = new PollPlanner(options).plan(registers);
+  var transactionOptions = {exceptionsAsErrors: true};
 
-  return this.execute(options);
-};
+  Object.keys(options).forEach(function(key)
+  {
+    if (POLL_OPTIONS.indexOf(key) === -1)
+    {
+      transactionOptions[key] = options[key];
+    }
+  });
 
-/**
- * @private
- * @param {Transaction|object} options
- * @returns {Transaction}
+  return blocks.map(function(block)
+  {
+    var blockOptions = {};
+
+    Object.keys(transactionOptions).forEach(function(key)
+    {
+      blockOptions[key] = transactionOptions[key];
+    });
+
+    blockOptions.request = block.createRequest();
+
+    var transaction = this.execute(blockOptions);
+
+    if (typeof options.onResponse === 'function')
+    {
+      transaction.on('response', function(response)
+      {
+        if (!response.isException())
+        {
+          options.onResponse(block.decode(response), block);
+        }
+      });
+    }
+
+    return transaction;
+  }, this);
+};
+
+/**
+ * Subscribes to the changes of the specified tags.
+ *
+ * The tags are polled every `interval` (see `pollTags()`) and
+ * the subscription emits the `change` events only for the values that
+ * changed by more than their deadband, and the `stale` events for the tags
+ * that could not be refreshed within `staleAfter` intervals.
+ *
+ * @param {number} unit
+ * @param {RegisterMap|Array.<(Register|object)>|Register|object} tags
+ * A map of the tags, the tags, a single tag or a range of the items
+ * (see `Subscription`).
+ * @param {object} [options] The poll options (`interval`, `timeout`,
+ * `maxRetries`, `priority`, `maxGap`, `holes`...).
+ * @param {number} [options.interval]
+ * @param {number|string|object.<string, (number|string)>} [options.deadband]
+ * @param {number} [options.staleAfter]
+ * @returns {Subscription} A started subscription.
+ * @throws {Error} If any of the tags or the specified options are not valid.
+ */
+Master.prototype.watch = function(unit, tags, options)
+{
+  var subscription = new Subscription(this, unit, tags, options);
+
+  subscription.start();
+
+  return subscription;
+};
+
+/**
+ * Reads the device identification objects (function 0x2B, MEI type 0x0E).
+ *
+ * If the slave can not fit all the objects in one response, the following
+ * objects are requested automatically, until the slave reports that no more
+ * objects follow. The `onResponse` callback (or the Promise) receives
+ * a map of the object values by their names: `vendorName`, `productCode`,
+ * `majorMinorRevision`, `vendorUrl`, `productName`, `modelName`
+ * and `userApplicationName` as strings, and the device specific objects
+ * by their IDs as Buffers. If any request fails, the `onError` callback
+ * (or the Promise) receives a `BlockTransferError`.
+ *
+ * @param {number|string} [readCode] A Read Device ID code (a number between
+ * 1 and 4) or one of: `basic`, `regular`, `extended` or `individual`.
+ * Defaults to `basic`.
+ * @param {number} [objectId] An ID of the first object to read (or the only
+ * one, in case of the `individual` access). Defaults to 0.
+ * @param {function|object} [options] The transaction options (`unit`,
+ * `timeout`, `maxRetries`, `priority`) are applied to each request.
+ * @param {number} [options.unit]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {function} [options.onResponse]
+ * @param {function} [options.onError]
+ * @param {function} [options.onComplete]
+ * @param {boolean} [options.promise]
+ * @returns {DeviceIdentificationTransfer|Promise.<object>}
+ * @throws {Error}
+ */
+Master.prototype.readDeviceIdentification = function(
+  readCode, objectId, options)
+{
+  if (isOptionsArgument(readCode))
+  {
+    options = readCode;
+    readCode = undefined;
+    objectId = undefined;
+  }
+  else if (isOptionsArgument(objectId))
+  {
+    options = objectId;
+    objectId = undefined;
+  }
+
+  options = prepareBlockOptions(options);
+
+  return this.startBlockTransfer(
+    new DeviceIdentificationTransfer(this, readCode, objectId, options.chunk),
+    options.transfer
+  );
+};
+
+/**
+ * @private
+ */
+Master.prototype.setUpConnection = function()
+{
+  this.connection.on('error', this.emit.bind(this, 'error'));
+  this.connection.on('open', this.onConnectionOpen.bind(this));
+  this.connection.on('close', this.onConnectionClose.bind(this));
+};
+
+/**
+ * @private
+ */
+Master.prototype.setUpTransport = function()
+{
+  this.transport.on('request', this.stats.recordRequest.bind(this.stats));
+};
+
+/**
+ * @private
+ */
+Master.prototype.onConnectionOpen = function()
+{
+  this.connected = true;
+  this.connectionCounter += 1;
+
+  this.queueRepeatableTransactions();
+  this.executeQueuedTransactions();
+
+  this.emit('connected', this.connectionCounter);
+};
+
+/**
+ * @private
+ */
+Master.prototype.onConnectionClose = function()
+{
+  if (this.connected)
+  {
+    this.emit('disconnected');
+
+    this.connected = false;
+  }
+};
+
+/**
+ * @private
+ * @param {BlockTransfer} transfer
+ * @param {object} options
+ * @returns {BlockTransfer|Promise}
+ */
+Master.prototype.startBlockTransfer = function(transfer, options)
+{
+  var result = transfer;
+
+  if (this.options.suppressTransactionErrors)
+  {
+    transfer.on('error', SUPPRESS_ERROR_FUNCTION);
+  }
+
+  if (typeof options.onResponse === 'function')
+  {
+    transfer.on('response', options.onResponse);
+  }
+
+  if (typeof options.onError === 'function')
+  {
+    transfer.on('error', options.onError);
+  }
+
+  if (typeof options.onComplete === 'function')
+  {
+    transfer.on('complete', options.onComplete);
+  }
+
+  if (options.promise === true)
+  {
+    result = createOutcomePromise(
+      transfer,
+      'transfer',
+      'complete',
+      function(error)
+      {
+        return error;
+      }
+    );
+  }
+
+  transfer.start();
+
+  return result;
+};
+
+/**
+ * @private
+ * @param {Transaction|object} options
+ * @returns {Transaction}
  * @throws {Error}
  */
 Master.prototype.createTransaction = function(options)
 {
   var transaction;
+  var unitSpecified = true;
 
   if (options instanceof Transaction)
   {
@@ -732,16 +1744,29 @@ Master.prototype.createTransaction = function(options)
   }
   else
   {
+    unitSpecified = typeof options.unit !== 'undefined';
+
     this.applyTransactionDefaults(options);
 
     transaction = Transaction.fromOptions(options);
   }
 
+  // A request that can not be broadcast is sent to the default unit 0
+  // as an ordinary request. It is rejected (see `executeQueuedTransactions()`)
+  // only if unit 0 was specified explicitly.
+  transaction.setBroadcast(
+    transaction.getUnit() === 0
+      && this.transport.supportsBroadcast()
+      && (unitSpecified || transaction.getRequest().isBroadcastable())
+  );
+
   if (this.options.suppressTransactionErrors)
   {
     transaction.on('error', SUPPRESS_ERROR_FUNCTION);
   }
 
+  this.trackTransactionStats(transaction);
+
   transaction.on(
     'complete',
     this.onTransactionComplete.bind(this, transaction)
@@ -750,6 +1775,44 @@ Master.prototype.createTransaction = function(options)
   return transaction;
 };
 
+/**
+ * @private
+ * @param {Transaction} transaction
+ */
+Master.prototype.trackTransactionStats = function(transaction)
+{
+  var stats = this.stats;
+
+  transaction.on('response', function(response)
+  {
+    stats.recordResponse(transaction, response);
+  });
+
+  transaction.on('timeout', function()
+  {
+    stats.recordTimeout(transaction);
+  });
+
+  // Errors are taken from the `complete` event, because listening for
+  // the `error` event would suppress the unhandled transaction errors.
+  transaction.on('complete', function(error, response)
+  {
+    if (transaction.isCancelled())
+    {
+      return;
+    }
+
+    if (error !== null)
+    {
+      stats.recordError(transaction, error);
+    }
+    else if (response === null)
+    {
+      stats.recordBroadcast(transaction);
+    }
+  });
+};
+
 /**
  * @private
  * @param {object} options
@@ -770,6 +1833,21 @@ Master.prototype.applyTransactionDefaults = function(options)
   {
     options.timeout = this.options.defaultTimeout;
   }
+
+  if (typeof options.broadcastTurnaround === 'undefined')
+  {
+    options.broadcastTurnaround = this.options.broadcastTurnaround;
+  }
+
+  if (typeof options.exceptionsAsErrors === 'undefined')
+  {
+    options.exceptionsAsErrors = this.options.exceptionsAsErrors;
+  }
+
+  if (typeof options.retryPolicy === 'undefined')
+  {
+    options.retryPolicy = this.options.retryPolicy;
+  }
 /*  moved to transport options rtu
  * 
   if (typeof options.enableEcho === 'undefined')
@@ -822,12 +1900,53 @@ Master.prototype.executeQueuedTransactions = function()
   {
     var transaction = this.transactionQueue.shift();
 
-    this.transport.sendRequest(transaction);
+    if (transaction.isCancelled())
+    {
+      continue;
+    }
 
     this.executingRequests += 1;
+
+    if (transaction.isBroadcast()
+      && !transaction.getRequest().isBroadcastable())
+    {
+      transaction.handleSkip(new errors.InvalidBroadcastError(util.format(
+        "Only the write requests can be broadcast to unit 0, got: %s",
+        transaction.getRequest()
+      )));
+
+      continue;
+    }
+
+    if (this.shouldSkipTransaction(transaction))
+    {
+      transaction.handleSkip(new errors.UnitOfflineError());
+
+      continue;
+    }
+
+    this.transport.sendRequest(transaction);
   }
 };
 
+/**
+ * Transactions addressed to an offline unit are not sent (except for
+ * the unit's probe), so that they don't waste the bus time waiting for
+ * the timeouts.
+ *
+ * @private
+ * @param {Transaction} transaction
+ * @returns {boolean}
+ */
+Master.prototype.shouldSkipTransaction = function(transaction)
+{
+  var unitState = this.unitStates[transaction.getUnit()];
+
+  return typeof unitState !== 'undefined'
+    && unitState.offline
+    && unitState.probe !== transaction;
+};
+
 /**
  * @private
  * @param {Transaction} transaction
@@ -838,19 +1957,23 @@ Master.prototype.onTransactionComplete = function(transaction, error, response)
 {
   this.executingRequests -= 1;
 
+  this.updateUnitState(transaction.getUnit(), error, response);
+
   if (!transaction.isCancelled())
   {
-    
-    
     if (error !== null)
     {
-		
-      this.handleError(transaction);
+      this.handleError(transaction, error);
     }
     else if (response !== null)
     {
       this.handleResponse(transaction, response);
     }
+    else
+    {
+      // A broadcast completed, there is no response to handle.
+      this.finishTransaction(transaction, null, null);
+    }
   }
 
   this.executeQueuedTransactions();
@@ -859,17 +1982,27 @@ Master.prototype.onTransactionComplete = function(transaction, error, response)
 /**
  * @private
  * @param {Transaction} transaction
+ * @param {Error} error
  */
-Master.prototype.handleError = function(transaction)
+Master.prototype.handleError = function(transaction, error)
 {
-  if (transaction.shouldRetry())
+  if (error instanceof errors.ExceptionError)
   {
-    this.transactionQueue.unshift(transaction);
+    if (this.retryException(transaction, error, error.response))
+    {
+      return;
+    }
   }
-  else if (transaction.isRepeatable() && this.isConnected())
+  else if (transaction.shouldRetry()
+    && !(error instanceof errors.UnitOfflineError)
+    && !(error instanceof errors.InvalidBroadcastError))
   {
-    this.scheduleExecution(transaction);
+    this.retryTransaction(transaction, transaction.getRetryDelay());
+
+    return;
   }
+
+  this.finishTransaction(transaction, error, null);
 };
 
 /**
@@ -879,21 +2012,320 @@ Master.prototype.handleError = function(transaction)
  */
 Master.prototype.handleResponse = function(transaction, response)
 {
-	
-	
   if (response.isException()
-    && transaction.shouldRetry()
-    && this.options.retryOnException)
+    && this.retryException(transaction, null, response))
+  {
+    return;
+  }
+
+  this.finishTransaction(transaction, null, response);
+};
+
+/**
+ * Retries the transaction that failed with the specified exception response,
+ * according to the exception policy of its exception code.
+ *
+ * @private
+ * @param {Transaction} transaction
+ * @param {ExceptionError|null} error
+ * @param {ExceptionResponse} response
+ * @returns {boolean} Whether the transaction is going to be retried.
+ */
+Master.prototype.retryException = function(transaction, error, response)
+{
+  if (!this.options.retryOnException || !transaction.shouldRetry())
+  {
+    return false;
+  }
+
+  var policy = this.options.exceptionPolicies[response.getExceptionCode()];
+
+  if (typeof policy === 'undefined')
+  {
+    this.retryTransaction(transaction, transaction.getRetryDelay());
+
+    return true;
+  }
+
+  if (!policy.retry)
+  {
+    return false;
+  }
+
+  if (policy.poll === null)
+  {
+    this.retryTransaction(
+      transaction,
+      policy.getDelay(transaction.getFailures())
+    );
+  }
+  else
+  {
+    this.pollUntilReady(transaction, policy, error, response);
+  }
+
+  return true;
+};
+
+/**
+ * @private
+ * @param {Transaction} transaction
+ * @param {number} delay A number of milliseconds to wait before the retry.
+ * @param {number} [waited] A number of milliseconds already waited
+ * (for example, while polling the unit), recorded instead of the `delay`.
+ */
+Master.prototype.retryTransaction = function(transaction, delay, waited)
+{
+  this.stats.recordRetry(transaction);
+
+  transaction.recordRetry(typeof waited === 'number' ? waited : delay);
+
+  if (delay <= 0)
   {
     this.transactionQueue.unshift(transaction);
-    
+
+    return;
   }
-  else if (transaction.isRepeatable() && this.isConnected())
+
+  var master = this;
+
+  transaction.scheduleRetry(delay, function()
   {
-    this.scheduleExecution(transaction);
+    if (!this.isCancelled() && master.transactionQueue !== null)
+    {
+      master.transactionQueue.unshift(this);
+      master.executeQueuedTransactions();
+    }
+  });
+};
+
+/**
+ * Polls the unit of the specified transaction with the policy's poll request
+ * until the unit is no longer busy, and then retries the transaction.
+ * If the unit is still busy after `maxPolls` polls, the transaction is
+ * finished with the original exception.
+ *
+ * The acknowledge exception (0x05) means that the unit accepted the request
+ * and is still executing it. A write (a request that could be broadcast)
+ * is then not sent again, because it would be executed twice. Instead,
+ * the transaction is finished successfully, with a `null` response (as
+ * a broadcast). A read is sent again, because its data is only returned
+ * in the response.
+ *
+ * @private
+ * @param {Transaction} transaction
+ * @param {Master.ExceptionPolicy} policy
+ * @param {ExceptionError|null} error
+ * @param {ExceptionResponse} response
+ */
+Master.prototype.pollUntilReady = function(transaction, policy, error, response)
+{
+  var master = this;
+  var polls = 0;
+  var pollStartTime = Date.now();
+
+  transaction.scheduleRetry(policy.getDelay(1), poll);
+
+  function poll()
+  {
+    if (transaction.isCancelled() || master.transactionQueue === null)
+    {
+      return;
+    }
+
+    polls += 1;
+
+    var pollTransaction = master.execute({
+      request: policy.poll,
+      unit: transaction.getUnit(),
+      maxRetries: 0,
+      priority: transaction.getPriority(),
+      exceptionsAsErrors: false
+    });
+
+    pollTransaction.on('error', SUPPRESS_ERROR_FUNCTION);
+    pollTransaction.once('finish', function(pollError, pollResponse)
+    {
+      if (transaction.isCancelled())
+      {
+        return;
+      }
+
+      if (!isUnitBusy(pollError, pollResponse))
+      {
+        if (response.getExceptionCode() === 0x05
+          && transaction.getRequest().isBroadcastable())
+        {
+          master.finishTransaction(transaction, null, null);
+        }
+        else
+        {
+          master.retryTransaction(
+            transaction,
+            0,
+            Date.now() - pollStartTime
+          );
+          master.executeQueuedTransactions();
+        }
+      }
+      else if (polls < policy.maxPolls)
+      {
+        transaction.scheduleRetry(policy.getDelay(polls + 1), poll);
+      }
+      else
+      {
+        master.finishTransaction(transaction, error, response);
+      }
+    });
   }
 };
 
+/**
+ * @private
+ * @param {Transaction} transaction
+ * @param {Error|null} error
+ * @param {Response|null} response
+ */
+Master.prototype.finishTransaction = function(transaction, error, response)
+{
+  transaction.emit('finish', error, response);
+
+  if (transaction.isRepeatable())
+  {
+    transaction.resetAttempts();
+
+    if (this.isConnected())
+    {
+      this.scheduleExecution(transaction);
+    }
+  }
+};
+
+/**
+ * @private
+ * @param {number} unit
+ * @param {Error|null} error
+ * @param {Response|null} response
+ */
+Master.prototype.updateUnitState = function(unit, error, response)
+{
+  // Broadcasts (unit 0) are never answered, so they say nothing about
+  // the state of the units.
+  if (this.options.unitOfflineThreshold <= 0
+    || unit === 0
+    || error instanceof errors.UnitOfflineError)
+  {
+    return;
+  }
+
+  var unitState = this.unitStates[unit];
+
+  if (typeof unitState === 'undefined')
+  {
+    unitState = this.unitStates[unit] = new Master.UnitState();
+  }
+
+  // Any response, even an exception, means that the unit is alive.
+  if ((error === null && response !== null)
+    || error instanceof errors.ExceptionError)
+  {
+    unitState.failures = 0;
+
+    if (unitState.offline)
+    {
+      this.setUnitOnline(unit, unitState);
+    }
+
+    return;
+  }
+
+  unitState.failures += 1;
+
+  if (!unitState.offline
+    && unitState.failures >= this.options.unitOfflineThreshold)
+  {
+    this.setUnitOffline(unit, unitState);
+  }
+};
+
+/**
+ * @private
+ * @param {number} unit
+ * @param {Master.UnitState} unitState
+ */
+Master.prototype.setUnitOffline = function(unit, unitState)
+{
+  unitState.offline = true;
+  unitState.probe = this.createTransaction({
+    request: this.options.unitProbeRequest,
+    unit: unit,
+    interval: this.options.unitProbeInterval,
+    maxRetries: 0,
+    priority: 'background'
+  });
+
+  // Probe errors are expected until the unit is back online.
+  unitState.probe.on('error', SUPPRESS_ERROR_FUNCTION);
+
+  this.addRepeatableTransaction(unitState.probe);
+  this.scheduleExecution(unitState.probe);
+
+  this.emit('unitOffline', unit);
+};
+
+/**
+ * @private
+ * @param {number} unit
+ * @param {Master.UnitState} unitState
+ */
+Master.prototype.setUnitOnline = function(unit, unitState)
+{
+  unitState.offline = false;
+
+  if (unitState.probe !== null)
+  {
+    unitState.probe.cancel();
+    unitState.probe.destroy();
+    unitState.probe = null;
+  }
+
+  this.emit('unitOnline', unit);
+};
+
+/**
+ * Wraps the specified transaction in a Promise.
+ *
+ * The Promise is settled when the transaction emits its first `finish` event,
+ * i.e. after all the retries were exhausted. It is resolved with the response
+ * (or `null` for a broadcast), or rejected with the error, the exception
+ * response (or an `ExceptionError` if the `exceptionsAsErrors` option is set),
+ * or a `TransactionCancelledError` if the transaction was cancelled first.
+ *
+ * The transaction is available as the `transaction` property of the returned
+ * Promise, so that it can still be cancelled.
+ *
+ * @private
+ * @param {Transaction} transaction
+ * @returns {Promise.<Response>}
+ */
+Master.prototype.createPromise = function(transaction)
+{
+  return createOutcomePromise(
+    transaction,
+    'transaction',
+    'finish',
+    function(error, response)
+    {
+      if (error === null && response !== null && response.isException())
+      {
+        return response;
+      }
+
+      return error;
+    }
+  );
+};
+
 /**
  * @private
  * @param {Transaction} transaction
@@ -911,3 +2343,164 @@ Master.prototype.scheduleExecution = function(transaction)
     }
   });
 };
+
+/**
+ * @private
+ * @param {object.<number, object>} [policies]
+ * @returns {object.<number, Master.ExceptionPolicy>}
+ */
+function prepareExceptionPolicies(policies)
+{
+  var defaults = Master.DEFAULT_EXCEPTION_POLICIES;
+  var result = {};
+
+  if (typeof policies !== 'object' || policies === null)
+  {
+    policies = {};
+  }
+
+  Object.keys(defaults).concat(Object.keys(policies)).forEach(function(code)
+  {
+    var options = {};
+
+    [defaults[code], policies[code]].forEach(function(source)
+    {
+      if (typeof source === 'object' && source !== null)
+      {
+        Object.keys(source).forEach(function(key)
+        {
+          options[key] = source[key];
+        });
+      }
+    });
+
+    result[code] = new Master.ExceptionPolicy(options);
+  });
+
+  return result;
+}
+
+/**
+ * Tells whether the result of a poll means that the unit is still busy.
+ * Errors (the unit may not answer while it is busy) and the acknowledge
+ * and slave device busy exceptions do. Other exceptions mean that the unit
+ * does not support the poll request, so it is considered ready.
+ *
+ * @private
+ * @param {Error|null} error
+ * @param {Response|null} response
+ * @returns {boolean}
+ */
+function isUnitBusy(error, response)
+{
+  if (error !== null)
+  {
+    return true;
+  }
+
+  if (response.isException())
+  {
+    var exceptionCode = response.getExceptionCode();
+
+    return exceptionCode === 0x05 || exceptionCode === 0x06;
+  }
+
+  return typeof response.isBusy === 'function' && response.isBusy();
+}
+
+/**
+ * Splits the options of a block transfer into the options of the transfer
+ * itself and the transaction options of its chunks.
+ *
+ * @private
+ * @param {function|object} [options]
+ * @returns {{transfer: object, chunk: object}}
+ */
+function prepareBlockOptions(options)
+{
+  var optionsType = typeof options;
+
+  if (optionsType === 'function')
+  {
+    options = {onComplete: options};
+  }
+  else if (optionsType !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  var transferOptions = {};
+  var chunkOptions = {};
+
+  Object.keys(options).forEach(function(key)
+  {
+    // Chunks are executed once, so they can not be repeatable.
+    if (key === 'interval')
+    {
+      return;
+    }
+
+    if (BLOCK_TRANSFER_OPTIONS.indexOf(key) === -1)
+    {
+      chunkOptions[key] = options[key];
+    }
+    else
+    {
+      transferOptions[key] = options[key];
+    }
+  });
+
+  return {
+    transfer: transferOptions,
+    chunk: chunkOptions
+  };
+}
+
+/**
+ * Creates a Promise settled by the specified transaction or block transfer,
+ * when it emits the specified final `event` (with an error and a result)
+ * or `cancel` (rejected with a `TransactionCancelledError`). The source
+ * is available as the specified `property` of the Promise, so that it can
+ * still be cancelled.
+ *
+ * @private
+ * @param {Transaction|BlockTransfer} source
+ * @param {string} property
+ * @param {string} event
+ * @param {function((Error|null), *): *} getRejection A function returning
+ * the reason to reject the Promise with, or `null` to resolve it
+ * with the result.
+ * @returns {Promise}
+ */
+function createOutcomePromise(source, property, event, getRejection)
+{
+  // Rejections are reported through the Promise, so the `error` events
+  // must not throw if nobody else is listening for them.
+  source.on('error', SUPPRESS_ERROR_FUNCTION);
+
+  var promise = new Promise(function(resolve, reject)
+  {
+    source.once(event, function(error, result)
+    {
+      var rejection = getRejection(error, result);
+
+      if (rejection === null)
+      {
+        resolve(result);
+      }
+      else
+      {
+        reject(rejection);
+      }
+    });
+
+    source.once('cancel', function()
+    {
+      reject(new errors.TransactionCancelledError());
+    });
+  });
+
+  promise[property] = source;
+
+  return promise;
+}
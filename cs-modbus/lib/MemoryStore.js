@@ -0,0 +1,686 @@
+'use strict';
+
+var util = require('util');
+
+module.exports = MemoryStore;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+var ADDRESS_SPACE = 0x10000;
+
+/**
+ * A data store of the `Slave` keeping all of its data in memory.
+ *
+ * All the units share the same data. Each of the coil, discrete input,
+ * holding register and input register tables covers the whole 16-bit
+ * address space.
+ *
+ * @constructor
+ * @param {MemoryStore.Options|object} [options]
+ */
+function MemoryStore(options)
+{
+  /**
+   * @private
+   * @type {MemoryStore.Options}
+   */
+  this.options = options instanceof MemoryStore.Options
+    ? options
+    : new MemoryStore.Options(options);
+
+  /**
+   * One byte per coil.
+   *
+   * @private
+   * @type {Buffer}
+   */
+  this.coils = createBuffer(ADDRESS_SPACE);
+
+  /**
+   * One byte per discrete input.
+   *
+   * @private
+   * @type {Buffer}
+   */
+  this.discreteInputs = createBuffer(ADDRESS_SPACE);
+
+  /**
+   * @private
+   * @type {Buffer}
+   */
+  this.holdingRegisters = createBuffer(ADDRESS_SPACE * 2);
+
+  /**
+   * @private
+   * @type {Buffer}
+   */
+  this.inputRegisters = createBuffer(ADDRESS_SPACE * 2);
+
+  /**
+   * @private
+   * @type {Buffer}
+   */
+  this.memory = createBuffer(this.options.memorySize);
+
+  /**
+   * @private
+   * @type {object.<number, Array.<number>>}
+   */
+  this.fifos = {};
+
+  /**
+   * @private
+   * @type {object.<number, Buffer>}
+   */
+  this.objects = {};
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.exceptionStatus = 0;
+}
+
+/**
+ * @constructor
+ * @param {object} [options]
+ * @param {number} [options.memorySize]
+ * @param {number} [options.fifoSize]
+ * @param {object} [options.slaveId]
+ * @param {object.<number, function(Buffer, number): Buffer>} [options.commands]
+ */
+MemoryStore.Options = function(options)
+{
+  if (options === null || typeof options !== 'object')
+  {
+    options = {};
+  }
+
+  /**
+   * A size of the CS memory (in bytes).
+   *
+   * @type {number}
+   */
+  this.memorySize = typeof options.memorySize === 'number'
+    ? options.memorySize
+    : ADDRESS_SPACE;
+
+  /**
+   * A maximum number of bytes in each of the FIFO8 queues.
+   *
+   * @type {number}
+   */
+  this.fifoSize = typeof options.fifoSize === 'number'
+    ? options.fifoSize
+    : 250;
+
+  /**
+   * The Report Slave ID response options (`product`, `run`, `version`
+   * and `values`).
+   *
+   * @type {object}
+   */
+  this.slaveId = typeof options.slaveId === 'object' && options.slaveId !== null
+    ? options.slaveId
+    : {product: 0, run: 0xFF, version: '0.0.0'};
+
+  /**
+   * Command handlers by the command ID. Each handler is called with
+   * the command data and the unit and returns the response data.
+   *
+   * @type {object.<number, function(Buffer, number): Buffer>}
+   */
+  this.commands = typeof options.commands === 'object'
+    && options.commands !== null
+      ? options.commands
+      : {};
+};
+
+/**
+ * @param {number} address
+ * @param {Array.<boolean>} states
+ */
+MemoryStore.prototype.setCoils = function(address, states)
+{
+  setBits(this.coils, address, states);
+};
+
+/**
+ * @param {number} address
+ * @param {number} quantity
+ * @returns {Array.<boolean>}
+ */
+MemoryStore.prototype.getCoils = function(address, quantity)
+{
+  return getBits(this.coils, address, quantity);
+};
+
+/**
+ * @param {number} address
+ * @param {Array.<boolean>} states
+ */
+MemoryStore.prototype.setDiscreteInputs = function(address, states)
+{
+  setBits(this.discreteInputs, address, states);
+};
+
+/**
+ * @param {number} address
+ * @param {number} quantity
+ * @returns {Array.<boolean>}
+ */
+MemoryStore.prototype.getDiscreteInputs = function(address, quantity)
+{
+  return getBits(this.discreteInputs, address, quantity);
+};
+
+/**
+ * @param {number} address
+ * @param {Buffer} values
+ */
+MemoryStore.prototype.setHoldingRegisters = function(address, values)
+{
+  values.copy(this.holdingRegisters, address * 2);
+};
+
+/**
+ * @param {number} address
+ * @param {number} quantity
+ * @returns {Buffer}
+ */
+MemoryStore.prototype.getHoldingRegisters = function(address, quantity)
+{
+  return copyBuffer(this.holdingRegisters, address * 2, quantity * 2);
+};
+
+/**
+ * @param {number} address
+ * @param {Buffer} values
+ */
+MemoryStore.prototype.setInputRegisters = function(address, values)
+{
+  values.copy(this.inputRegisters, address * 2);
+};
+
+/**
+ * @param {number} address
+ * @param {number} quantity
+ * @returns {Buffer}
+ */
+MemoryStore.prototype.getInputRegisters = function(address, quantity)
+{
+  return copyBuffer(this.inputRegisters, address * 2, quantity * 2);
+};
+
+/**
+ * @param {number} status The exception status bits (0-255).
+ */
+MemoryStore.prototype.setExceptionStatus = function(status)
+{
+  this.exceptionStatus = status & 0xFF;
+};
+
+/**
+ * @returns {number}
+ */
+MemoryStore.prototype.getExceptionStatus = function()
+{
+  return this.exceptionStatus;
+};
+
+/**
+ * @param {number} id
+ * @param {Buffer} values
+ */
+MemoryStore.prototype.setObject = function(id, values)
+{
+  this.objects[id] = values;
+};
+
+/**
+ * @param {number} id
+ * @returns {Buffer|null}
+ */
+MemoryStore.prototype.getObject = function(id)
+{
+  return this.objects[id] || null;
+};
+
+/**
+ * @param {number} address
+ * @param {Buffer} values
+ */
+MemoryStore.prototype.setMemory = function(address, values)
+{
+  values.copy(this.memory, address);
+};
+
+/**
+ * @param {number} address
+ * @param {number} count
+ * @returns {Buffer}
+ */
+MemoryStore.prototype.getMemory = function(address, count)
+{
+  return copyBuffer(this.memory, address, count);
+};
+
+/**
+ * @param {number} id
+ * @param {Buffer} values
+ * @returns {number} A number of the bytes that fit in the FIFO.
+ */
+MemoryStore.prototype.pushFifo8 = function(id, values)
+{
+  var fifo = this.getFifo(id);
+  var quantity = Math.min(values.length, this.options.fifoSize - fifo.length);
+
+  for (var i = 0; i < quantity; ++i)
+  {
+    fifo.push(values[i]);
+  }
+
+  return quantity;
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {number} quantity
+ * @param {function(Error|null, Array.<boolean>=)} done
+ */
+MemoryStore.prototype.readCoils = function(unit, address, quantity, done)
+{
+  if (address + quantity > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  done(null, this.getCoils(address, quantity));
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {number} quantity
+ * @param {function(Error|null, Array.<boolean>=)} done
+ */
+MemoryStore.prototype.readDiscreteInputs =
+  function(unit, address, quantity, done)
+{
+  if (address + quantity > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  done(null, this.getDiscreteInputs(address, quantity));
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {number} quantity
+ * @param {function(Error|null, Buffer=)} done
+ */
+MemoryStore.prototype.readHoldingRegisters =
+  function(unit, address, quantity, done)
+{
+  if (address + quantity > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  done(null, this.getHoldingRegisters(address, quantity));
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {number} quantity
+ * @param {function(Error|null, Buffer=)} done
+ */
+MemoryStore.prototype.readInputRegisters =
+  function(unit, address, quantity, done)
+{
+  if (address + quantity > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  done(null, this.getInputRegisters(address, quantity));
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {Array.<boolean>} states
+ * @param {function(Error|null)} done
+ */
+MemoryStore.prototype.writeCoils = function(unit, address, states, done)
+{
+  if (address + states.length > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  this.setCoils(address, states);
+
+  done(null);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {Buffer} values
+ * @param {function(Error|null)} done
+ */
+MemoryStore.prototype.writeRegisters = function(unit, address, values, done)
+{
+  if (address + values.length / 2 > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  this.setHoldingRegisters(address, values);
+
+  done(null);
+};
+
+/**
+ * @param {number} unit
+ * @param {function(Error|null, number=)} done
+ */
+MemoryStore.prototype.readExceptionStatus = function(unit, done)
+{
+  done(null, this.exceptionStatus);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {number} andMask
+ * @param {number} orMask
+ * @param {function(Error|null)} done
+ */
+MemoryStore.prototype.maskWriteRegister =
+  function(unit, address, andMask, orMask, done)
+{
+  var value = this.holdingRegisters.readUInt16BE(address * 2);
+
+  this.holdingRegisters.writeUInt16BE(
+    (value & andMask) | (orMask & ~andMask & 0xFFFF),
+    address * 2
+  );
+
+  done(null);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} readAddress
+ * @param {number} readQuantity
+ * @param {number} writeAddress
+ * @param {Buffer} values
+ * @param {function(Error|null, Buffer=)} done
+ */
+MemoryStore.prototype.readWriteRegisters =
+  function(unit, readAddress, readQuantity, writeAddress, values, done)
+{
+  if (readAddress + readQuantity > ADDRESS_SPACE
+    || writeAddress + values.length / 2 > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  this.setHoldingRegisters(writeAddress, values);
+
+  done(null, this.getHoldingRegisters(readAddress, readQuantity));
+};
+
+/**
+ * The holding register at the `address` is the FIFO count and
+ * the registers that follow it are the queued values. The queue
+ * is left as it is.
+ *
+ * @param {number} unit
+ * @param {number} address
+ * @param {function(Error|null, Buffer=)} done
+ */
+MemoryStore.prototype.readFifoQueue = function(unit, address, done)
+{
+  var count = this.holdingRegisters.readUInt16BE(address * 2);
+
+  if (count > 31)
+  {
+    return done(createException(0x03));
+  }
+
+  if (address + 1 + count > ADDRESS_SPACE)
+  {
+    return done(createException(0x02));
+  }
+
+  done(null, this.getHoldingRegisters(address + 1, count));
+};
+
+/**
+ * @param {number} unit
+ * @param {function(Error|null, object=)} done
+ */
+MemoryStore.prototype.reportSlaveId = function(unit, done)
+{
+  done(null, this.options.slaveId);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} id
+ * @param {number} max
+ * @param {function(Error|null, Buffer=, number=)} done
+ */
+MemoryStore.prototype.readFifo8 = function(unit, id, max, done)
+{
+  var fifo = this.getFifo(id);
+  var values = new Buffer(fifo.splice(0, max === 0 ? 250 : max));
+
+  done(null, values, fifo.length);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} id
+ * @param {Buffer} values
+ * @param {function(Error|null, number=)} done
+ */
+MemoryStore.prototype.writeFifo8 = function(unit, id, values, done)
+{
+  done(null, this.pushFifo8(id, values));
+};
+
+/**
+ * @param {number} unit
+ * @param {number} id
+ * @param {function(Error|null, Buffer=)} done
+ */
+MemoryStore.prototype.readObject = function(unit, id, done)
+{
+  var values = this.getObject(id);
+
+  if (values === null)
+  {
+    return done(createException(0x02));
+  }
+
+  done(null, values);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} id
+ * @param {Buffer} values
+ * @param {function(Error|null, number=)} done
+ */
+MemoryStore.prototype.writeObject = function(unit, id, values, done)
+{
+  this.setObject(id, values);
+
+  done(null, 0);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {number} count
+ * @param {function(Error|null, Buffer=)} done
+ */
+MemoryStore.prototype.readMemory = function(unit, address, count, done)
+{
+  if (address + count > this.memory.length)
+  {
+    return done(createException(0x02));
+  }
+
+  done(null, this.getMemory(address, count));
+};
+
+/**
+ * @param {number} unit
+ * @param {number} address
+ * @param {Buffer} values
+ * @param {function(Error|null, number=)} done
+ */
+MemoryStore.prototype.writeMemory = function(unit, address, values, done)
+{
+  if (address + values.length > this.memory.length)
+  {
+    return done(createException(0x02));
+  }
+
+  this.setMemory(address, values);
+
+  done(null, 0);
+};
+
+/**
+ * @param {number} unit
+ * @param {number} id
+ * @param {Buffer} values
+ * @param {function(Error|null, Buffer=)} done
+ */
+MemoryStore.prototype.command = function(unit, id, values, done)
+{
+  var handler = this.options.commands[id];
+
+  if (typeof handler !== 'function')
+  {
+    return done(createException(0x02));
+  }
+
+  var result;
+
+  try
+  {
+    result = handler(values, unit);
+  }
+  catch (err)
+  {
+    return done(err);
+  }
+
+  done(null, result);
+};
+
+/**
+ * @private
+ * @param {number} id
+ * @returns {Array.<number>}
+ */
+MemoryStore.prototype.getFifo = function(id)
+{
+  if (!this.fifos.hasOwnProperty(id))
+  {
+    this.fifos[id] = [];
+  }
+
+  return this.fifos[id];
+};
+
+/**
+ * @private
+ * @param {number} size
+ * @returns {Buffer}
+ */
+function createBuffer(size)
+{
+  var buffer = new Buffer(size);
+
+  buffer.fill(0);
+
+  return buffer;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} start
+ * @param {number} length
+ * @returns {Buffer}
+ */
+function copyBuffer(buffer, start, length)
+{
+  var copy = new Buffer(length);
+
+  buffer.copy(copy, 0, start, start + length);
+
+  return copy;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} address
+ * @param {Array.<boolean>} states
+ */
+function setBits(buffer, address, states)
+{
+  for (var i = 0, l = states.length; i < l; ++i)
+  {
+    buffer[address + i] = states[i] ? 1 : 0;
+  }
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} address
+ * @param {number} quantity
+ * @returns {Array.<boolean>}
+ */
+function getBits(buffer, address, quantity)
+{
+  var states = [];
+
+  for (var i = 0; i < quantity; ++i)
+  {
+    states.push(buffer[address + i] === 1);
+  }
+
+  return states;
+}
+
+/**
+ * @private
+ * @param {number} exceptionCode
+ * @returns {Error}
+ */
+function createException(exceptionCode)
+{
+  var err = new Error(util.format("MODBUS exception: %d", exceptionCode));
+
+  err.exceptionCode = exceptionCode;
+
+  return err;
+}
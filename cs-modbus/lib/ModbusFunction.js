@@ -2,6 +2,8 @@
 
 'use strict';
 
+var util = require('util');
+
 module.exports = ModbusFunction;
 
 /**
@@ -53,6 +55,52 @@ ModbusFunction.prototype.toString = function()
   throw new Error("Abstract method must be overridden by the child class!");
 };
 
+/**
+ * Returns the string representation of this function, so the requests
+ * and the responses are printed in a readable form by `console.log()`
+ * and `util.inspect()`.
+ *
+ * @returns {string}
+ */
+ModbusFunction.prototype.inspect = function()
+{
+  return this.toString();
+};
+
+if (typeof util.inspect.custom === 'symbol')
+{
+  ModbusFunction.prototype[util.inspect.custom] =
+    ModbusFunction.prototype.inspect;
+}
+
+/**
+ * Returns a JSON representation of this function: its `name` (the name
+ * of its class), function `code`, `data` (the state of the function with
+ * the buffers encoded as hex strings) and `pdu` (its binary representation
+ * as a hex string).
+ *
+ * @returns {{name: string, code: number, data: object, pdu: string}}
+ */
+ModbusFunction.prototype.toJSON = function()
+{
+  var data = {};
+
+  Object.keys(this).forEach(function(key)
+  {
+    if (key !== 'code' && typeof this[key] !== 'function')
+    {
+      data[key] = toJSONValue(this[key]);
+    }
+  }, this);
+
+  return {
+    name: this.constructor.name,
+    code: this.getCode(),
+    data: data,
+    pdu: this.toBuffer().toString('hex')
+  };
+};
+
 /**
  * @returns {number}
  */
@@ -60,3 +108,35 @@ ModbusFunction.prototype.getCode = function()
 {
   return this.code;
 };
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {*}
+ */
+function toJSONValue(value)
+{
+  if (Buffer.isBuffer(value))
+  {
+    return value.toString('hex');
+  }
+
+  if (Array.isArray(value))
+  {
+    return value.map(toJSONValue);
+  }
+
+  if (value !== null && typeof value === 'object')
+  {
+    var object = {};
+
+    Object.keys(value).forEach(function(key)
+    {
+      object[key] = toJSONValue(value[key]);
+    });
+
+    return object;
+  }
+
+  return value;
+}
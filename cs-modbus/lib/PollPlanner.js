@@ -0,0 +1,303 @@
+'use strict';
+
+var util = require('util');
+var BlockTransfer = require('./BlockTransfer');
+var Register = require('./Register');
+
+module.exports = PollPlanner;
+
+/**
+ * Plans the smallest set of read requests that cover the specified tags.
+ *
+ * The tags of each address space are sorted by their addresses and merged
+ * into blocks, as long as a block does not exceed the largest quantity
+ * of its read function, the unused items between two tags do not exceed
+ * the `maxGap`, and the block does not touch any of the `holes`: ranges
+ * that the device answers with the Illegal Data Address exception.
+ * The holes are specific to a device, so each device should have its own
+ * planner (or the planning options).
+ *
+ * @constructor
+ * @param {object} [options]
+ * @param {number} [options.maxGap] A maximum number of the unused items
+ * (coils, registers or bytes) worth reading through to merge two tags into
+ * one request. Defaults to 0 (only the adjacent or overlapping tags
+ * are merged).
+ * @param {Array.<object>} [options.holes] Ranges of the addresses that must
+ * not be read, each with a `space`, an `address` and a `quantity`
+ * (defaults to 1).
+ * @throws {Error} If any of the specified options are not valid.
+ */
+function PollPlanner(options)
+{
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  var maxGap = typeof options.maxGap === 'undefined' ? 0 : options.maxGap;
+
+  if (typeof maxGap !== 'number' || isNaN(maxGap) || maxGap < 0)
+  {
+    throw new Error(util.format(
+      "Invalid max gap. Expected a number greater than or equal to 0, got: %s",
+      maxGap
+    ));
+  }
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.maxGap = maxGap;
+
+  /**
+   * @private
+   * @type {Array.<{space: string, address: number, end: number}>}
+   */
+  this.holes = Array.isArray(options.holes)
+    ? options.holes.map(prepareHole)
+    : [];
+}
+
+/**
+ * A range of items read with one request, and the tags it covers.
+ *
+ * @constructor
+ * @param {string} space One of the `Register.SPACES`.
+ * @param {number} address A starting address.
+ * @param {number} quantity A number of the items (bytes in the `memory`
+ * space) to read.
+ * @param {Array.<Register>} registers
+ */
+PollPlanner.Block = function(space, address, quantity, registers)
+{
+  this.space = space;
+  this.address = address;
+  this.quantity = quantity;
+  this.registers = registers;
+};
+
+/**
+ * @returns {Request} A new request that reads this block.
+ */
+PollPlanner.Block.prototype.createRequest = function()
+{
+  return getDefinition(this.space).createRequest(this.address, this.quantity);
+};
+
+/**
+ * @param {Response} response A response to the request of this block.
+ * @returns {Buffer|Array.<boolean>} The read register values or memory
+ * bytes, or the coil or input states.
+ */
+PollPlanner.Block.prototype.getValues = function(response)
+{
+  return getDefinition(this.space).getValues(response, this);
+};
+
+/**
+ * @param {Response} response A response to the request of this block.
+ * @returns {object.<string, *>} Decoded values of the covered tags,
+ * by their names (see `Register.decode()`).
+ */
+PollPlanner.Block.prototype.decode = function(response)
+{
+  var data = this.getValues(response);
+  var itemSize = Buffer.isBuffer(data) && this.space !== 'memory' ? 2 : 1;
+  var values = {};
+
+  this.registers.forEach(function(register)
+  {
+    var offset = (register.address - this.address) * itemSize;
+
+    values[register.name] = register.decode(
+      data.slice(offset, offset + register.getQuantity() * itemSize)
+    );
+  }, this);
+
+  return values;
+};
+
+/**
+ * @param {Array.<Register>} registers
+ * @returns {Array.<{space: string, registers: Array.<Register>}>} Groups
+ * of the non-empty address spaces, in the `Register.SPACES` order.
+ * @throws {Error} If there are no registers.
+ */
+PollPlanner.groupBySpace = function(registers)
+{
+  if (registers.length === 0)
+  {
+    throw new Error("At least one register is required.");
+  }
+
+  return Object.keys(Register.SPACES)
+    .map(function(space)
+    {
+      return {
+        space: space,
+        registers: registers.filter(function(register)
+        {
+          return register.space === space;
+        })
+      };
+    })
+    .filter(function(group)
+    {
+      return group.registers.length > 0;
+    });
+};
+
+/**
+ * @param {Array.<Register>} registers Readable tags.
+ * @returns {Array.<PollPlanner.Block>}
+ * @throws {Error} If there are no tags, or any of the tags is not readable,
+ * lies in a hole or is larger than a single request allows.
+ */
+PollPlanner.prototype.plan = function(registers)
+{
+  var blocks = [];
+
+  PollPlanner.groupBySpace(registers).forEach(function(group)
+  {
+    this.planSpace(group.space, group.registers).forEach(function(block)
+    {
+      blocks.push(block);
+    });
+  }, this);
+
+  return blocks;
+};
+
+/**
+ * @param {string} space
+ * @param {number} address
+ * @param {number} end
+ * @returns {boolean} Whether any of the items from the `address` up to,
+ * but not including, the `end` is in a hole.
+ */
+PollPlanner.prototype.isInHole = function(space, address, end)
+{
+  return this.holes.some(function(hole)
+  {
+    return hole.space === space && hole.address < end && address < hole.end;
+  });
+};
+
+/**
+ * @private
+ * @param {string} space
+ * @param {Array.<Register>} registers
+ * @returns {Array.<PollPlanner.Block>}
+ * @throws {Error}
+ */
+PollPlanner.prototype.planSpace = function(space, registers)
+{
+  var maxQuantity = getDefinition(space).maxQuantity;
+  var blocks = [];
+  var block = null;
+
+  registers
+    .slice()
+    .sort(function(a, b)
+    {
+      return a.address - b.address;
+    })
+    .forEach(function(register)
+    {
+      var end = register.getEndAddress();
+
+      this.assertReadable(register, maxQuantity);
+
+      if (block === null
+        || register.address - (block.address + block.quantity) > this.maxGap
+        || Math.max(block.address + block.quantity, end) - block.address
+          > maxQuantity
+        || this.isInHole(space, block.address, end))
+      {
+        block = new PollPlanner.Block(space, register.address, 0, []);
+
+        blocks.push(block);
+      }
+
+      block.quantity = Math.max(block.quantity, end - block.address);
+      block.registers.push(register);
+    }, this);
+
+  return blocks;
+};
+
+/**
+ * @private
+ * @param {Register} register
+ * @param {number} maxQuantity
+ * @throws {Error}
+ */
+PollPlanner.prototype.assertReadable = function(register, maxQuantity)
+{
+  if (!register.isReadable())
+  {
+    throw new Error(util.format(
+      "Register %s is not readable.", register.name
+    ));
+  }
+
+  if (register.getQuantity() > maxQuantity)
+  {
+    throw new Error(util.format(
+      "Register %s is larger than a single request allows (%d).",
+      register.name,
+      maxQuantity
+    ));
+  }
+
+  var end = register.getEndAddress();
+
+  if (this.isInHole(register.space, register.address, end))
+  {
+    throw new Error(util.format(
+      "Register %s lies in an address hole.", register.name
+    ));
+  }
+};
+
+/**
+ * @private
+ * @param {string} space
+ * @returns {object} A definition of the read block of the specified space.
+ */
+function getDefinition(space)
+{
+  return BlockTransfer.READ_BLOCKS[Register.SPACES[space]];
+}
+
+/**
+ * @private
+ * @param {object} hole
+ * @returns {{space: string, address: number, end: number}}
+ * @throws {Error} If the hole is not valid.
+ */
+function prepareHole(hole)
+{
+  var quantity = typeof hole.quantity === 'number' ? hole.quantity : 1;
+
+  if (!Register.SPACES.hasOwnProperty(hole.space)
+    || typeof hole.address !== 'number'
+    || hole.address < 0
+    || isNaN(quantity)
+    || quantity < 1)
+  {
+    throw new Error(util.format(
+      "Invalid address hole. Expected a space, an address and a quantity, "
+        + "got: %j",
+      hole
+    ));
+  }
+
+  return {
+    space: hole.space,
+    address: hole.address,
+    end: hole.address + quantity
+  };
+}
@@ -7,11 +7,81 @@
  */
 'use strict';
 
+var util = require('util');
+var dataTypes = require('./dataTypes');
 
+/**
+ * Address spaces of the tags, mapped to the names of the blocks used to
+ * read and write them (see `BlockTransfer`).
+ *
+ * @const
+ * @type {object.<string, string>}
+ */
+Register.SPACES = {
+  coil: 'coils',
+  discrete: 'discreteInputs',
+  input: 'inputRegisters',
+  holding: 'holdingRegisters',
+  memory: 'memory'
+};
+
+/**
+ * Access modes of the tags. The `discrete` and `input` spaces are
+ * always read only.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+Register.ACCESS = ['r', 'w', 'rw'];
 
-// Constructor for Item object
+/**
+ * A register of a device or a typed tag of a register map.
+ *
+ * The options with the legacy `addr` (an address or an array of addresses),
+ * but without the `space`, the `address` or a known `type`, describe
+ * a legacy register. It is not validated (for example, its `type` can be
+ * `ee`) and its first `addr` is used as the `address`.
+ *
+ * @constructor
+ * @param {object} options
+ * @param {string} [options.name] Defaults to `space:address`.
+ * @param {string} [options.space] One of the `Register.SPACES`.
+ * Defaults to `holding`.
+ * @param {number} [options.address] An address of the first item (coil,
+ * register or byte).
+ * @param {string} [options.type] `bool` for the `coil` and `discrete` spaces
+ * (and the only type allowed there), otherwise one of the `dataTypes.TYPES`.
+ * Defaults to `uint16`. `int8` and `uint8` are allowed only in
+ * the `memory` space.
+ * @param {string} [options.order] One of the `dataTypes.ORDERS`.
+ * Defaults to `ABCD`.
+ * @param {number} [options.length] A length of a `string` in bytes.
+ * @param {number} [options.scale] The numeric values are
+ * `raw * scale + offset`. Defaults to 1.
+ * @param {number} [options.offset] Defaults to 0.
+ * @param {object.<string, number>} [options.bits] Numbers of the `bitfield`
+ * bits by their names.
+ * @param {object.<number, string>} [options.labels] Labels of the `enum`
+ * values.
+ * @param {string} [options.access] One of the `Register.ACCESS`.
+ * Defaults to `rw` (and to `r` in the `discrete` and `input` spaces).
+ * @param {number} [options.min] A limit of the written numeric values,
+ * after the scaling. Not limited by default (0 for the legacy registers).
+ * @param {number} [options.max] A limit of the written numeric values,
+ * after the scaling. Not limited by default (255 for the legacy registers).
+ * @param {string} [options.units]
+ * @param {string} [options.description]
+ * @param {function(*): string} [options.format] Overrides the default
+ * formatting of the values (see `format()`).
+ * @param {function(string): *} [options.unformat] The inverse of `format`.
+ * @param {number|Array.<number>} [options.addr] The legacy address(es).
+ * @param {*} [options.value] The legacy value.
+ * @throws {Error} If the options of a typed tag are invalid.
+ */
 function Register( options ) {
 
+  var typed = isTypedTag(options);
+
   // Save the address and make sure it's in array format
   this.addr = options.addr ;//|| null;
 
@@ -22,13 +92,33 @@ function Register( options ) {
   this.length = options.length || 1;
 
   this.value = options.value || 0;
-  this.min = options.min || 0;
-  this.max = options.max || 255;
+  // The legacy registers default to the byte range.
+  this.min = typeof options.min === 'number' ? options.min : typed ? null : 0;
+  this.max = typeof options.max === 'number' ? options.max : typed ? null : 255;
   this.fnFormat = options.format || null;
   this.fnUnformat = options.unformat || null;
-  this.name = options.name || this.type + ':' + this.addr[0];
   this.units = options.units || '';
 
+  this.space = options.space || 'holding';
+  this.address = typeof options.address === 'number'
+    ? options.address
+    : getLegacyAddress(this.addr);
+  this.type = options.type || (isBitSpace(this.space) ? 'bool' : 'uint16');
+  this.order = options.order || 'ABCD';
+  this.scale = typeof options.scale === 'number' ? options.scale : 1;
+  this.offset = typeof options.offset === 'number' ? options.offset : 0;
+  this.bits = options.bits || null;
+  this.labels = options.labels || null;
+  this.access = options.access
+    || (this.space === 'discrete' || this.space === 'input' ? 'r' : 'rw');
+  this.description = options.description || '';
+  this.name = options.name
+    || (typed ? this.space : options.type || this.space) + ':' + this.address;
+
+  if (typed) {
+    this.validate();
+  }
+
 }
 
 Register.prototype.set = function( value ) {
@@ -66,17 +156,27 @@ Register.prototype.getReadCommands = function() {
 /**
  * Returns the value of this item, formatted if possible
  *
- * @return {[type]} value
+ * Without arguments, the legacy `value` is formatted. A decoded value
+ * of a typed tag (see `decode()`) is formatted as a string followed
+ * by the `units`, unless the `format` option is specified.
+ *
+ * @param {*} [value] a decoded value of the tag
+ * @return {*} value
  */
-Register.prototype.format = function() {
+Register.prototype.format = function( value ) {
 
-  if( this.fnFormat ) {
-    return this.fnFormat( this.value );
+  if( arguments.length === 0 ) {
+    return this.fnFormat ? this.fnFormat( this.value ) : this.value;
   }
-  else {
-    return this.value;
+
+  if( this.fnFormat ) {
+    return this.fnFormat( value );
   }
 
+  var text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return this.units === '' ? text : text + ' ' + this.units;
+
 };
 
 /**
@@ -152,4 +252,379 @@ Register.prototype.value8ToPercent = function() {
 };
 
 
+/**
+ * Checks the options of the typed tag. The legacy registers are validated
+ * only when they are added to a `RegisterMap`.
+ *
+ * @throws {Error} If any of the tag options are invalid.
+ */
+Register.prototype.validate = function()
+{
+  if (!Register.SPACES.hasOwnProperty(this.space))
+  {
+    throw new Error(util.format(
+      "Unknown address space of register %s. Expected one of: %s, got: %s",
+      this.name,
+      Object.keys(Register.SPACES).join(', '),
+      this.space
+    ));
+  }
+
+  if (isBitSpace(this.space) !== (this.type === 'bool'))
+  {
+    throw new Error(util.format(
+      "Type `bool` is required in, and only allowed in, the coil "
+        + "and discrete spaces, got type %s in space %s for register %s.",
+      this.type,
+      this.space,
+      this.name
+    ));
+  }
+
+  if (this.type !== 'bool')
+  {
+    dataTypes.assertType(this.type);
+    dataTypes.assertOrder(this.order);
+
+    if (this.type !== 'string' && dataTypes.getSize(this.type) === 1
+      && this.space !== 'memory')
+    {
+      throw new Error(util.format(
+        "Type %s is only allowed in the memory space (register %s).",
+        this.type,
+        this.name
+      ));
+    }
+  }
+
+  if (Register.ACCESS.indexOf(this.access) === -1
+    || (this.access !== 'r' && !Register.isWritableSpace(this.space)))
+  {
+    throw new Error(util.format(
+      "Invalid access of register %s in space %s: %s",
+      this.name,
+      this.space,
+      this.access
+    ));
+  }
+
+  if (this.min !== null && this.max !== null && this.min > this.max)
+  {
+    throw new Error(util.format(
+      "The min of register %s must not be greater than its max, got: %s > %s",
+      this.name,
+      this.min,
+      this.max
+    ));
+  }
+
+  if (typeof this.address !== 'number' || this.address < 0
+    || this.address + this.getQuantity() > 0x10000)
+  {
+    throw new Error(util.format(
+      "Register %s must fit in the address range 0 to 0xFFFF, got: %s",
+      this.name,
+      this.address
+    ));
+  }
+};
+
+/**
+ * @param {string} space One of the `Register.SPACES`.
+ * @returns {boolean} Whether the tags in the specified space can be written.
+ */
+Register.isWritableSpace = function(space)
+{
+  return space === 'coil' || space === 'holding' || space === 'memory';
+};
+
+/**
+ * @returns {number} A number of the addressable items (coils, registers
+ * or bytes) taken by this tag.
+ */
+Register.prototype.getQuantity = function()
+{
+  if (this.type === 'bool')
+  {
+    return 1;
+  }
+
+  var size = dataTypes.getSize(this.type, this.length);
+
+  return this.space === 'memory' ? size : Math.ceil(size / 2);
+};
+
+/**
+ * @returns {number} An address after the last item of this tag.
+ */
+Register.prototype.getEndAddress = function()
+{
+  return this.address + this.getQuantity();
+};
+
+/**
+ * @returns {boolean}
+ */
+Register.prototype.isReadable = function()
+{
+  return this.access !== 'w';
+};
+
+/**
+ * @returns {boolean}
+ */
+Register.prototype.isWritable = function()
+{
+  return this.access !== 'r';
+};
+
+/**
+ * Decodes the value of this tag.
+ *
+ * @param {Buffer|Array.<boolean>} data The bytes of the tag (starting at its
+ * address), or the states of the coils or discrete inputs.
+ * @returns {boolean|number|string|object|Array.<boolean>} A state for
+ * the `bool` tags, a scaled number for the numeric types, a string,
+ * the named bit states (or all 16 states, if the `bits` are not named)
+ * for a `bitfield`, or the label (or the number, if not labeled)
+ * for an `enum`.
+ * @throws {Error} If the data is too short.
+ */
+Register.prototype.decode = function(data)
+{
+  if (this.type === 'bool')
+  {
+    return !!data[0];
+  }
+
+  var size = dataTypes.getSize(this.type, this.length);
+  var raw = dataTypes.decode(this.type, data.slice(0, size), this.order);
+
+  if (this.type === 'string')
+  {
+    return raw;
+  }
+
+  if (this.type === 'bitfield')
+  {
+    return this.decodeBits(raw);
+  }
+
+  if (this.type === 'enum')
+  {
+    return this.labels !== null && this.labels.hasOwnProperty(raw)
+      ? this.labels[raw]
+      : raw;
+  }
+
+  return raw * this.scale + this.offset;
+};
+
+/**
+ * Encodes the specified value of this tag.
+ *
+ * @param {boolean|number|string|object|Array.<boolean>} value A value
+ * in the form returned by `decode()`. A `bitfield` also accepts a number.
+ * The bits not set in the object or the array are cleared.
+ * @returns {Buffer|boolean} Bytes of the tag, or a state of the coil.
+ * @throws {Error} If the value can not be encoded or a numeric value
+ * is outside of the `min` and `max` limits.
+ */
+Register.prototype.encode = function(value)
+{
+  if (this.type === 'bool')
+  {
+    return !!value;
+  }
+
+  var raw = value;
+
+  if (this.type === 'bitfield')
+  {
+    raw = this.encodeBits(value);
+  }
+  else if (this.type === 'enum')
+  {
+    raw = this.encodeLabel(value);
+  }
+  else if (this.type !== 'string')
+  {
+    this.assertLimits(value);
+
+    raw = (value - this.offset) / this.scale;
+  }
+
+  var size = dataTypes.getSize(this.type, this.length);
+  var buffer = dataTypes.encode(this.type, raw, this.order, size);
+
+  // Bytes of a tag in the register spaces fill up the whole registers.
+  if (this.space !== 'memory' && size % 2 === 1)
+  {
+    buffer = Buffer.concat([buffer, new Buffer([0])]);
+  }
+
+  return buffer;
+};
+
+/**
+ * @private
+ * @param {number} value A scaled value.
+ * @throws {Error} If the value is outside of the `min` and `max` limits.
+ */
+Register.prototype.assertLimits = function(value)
+{
+  if ((this.min !== null && value < this.min)
+    || (this.max !== null && value > this.max))
+  {
+    throw new Error(util.format(
+      "Value of register %s must be between %s and %s, got: %s",
+      this.name,
+      this.min === null ? '-Infinity' : this.min,
+      this.max === null ? 'Infinity' : this.max,
+      value
+    ));
+  }
+};
+
+/**
+ * @private
+ * @param {number} raw
+ * @returns {object.<string, boolean>|Array.<boolean>}
+ */
+Register.prototype.decodeBits = function(raw)
+{
+  var bits = this.bits;
+
+  if (bits === null)
+  {
+    var states = [];
+
+    for (var bit = 0; bit < 16; ++bit)
+    {
+      states.push((raw & (1 << bit)) !== 0);
+    }
+
+    return states;
+  }
+
+  var namedStates = {};
+
+  Object.keys(bits).forEach(function(name)
+  {
+    namedStates[name] = (raw & (1 << bits[name])) !== 0;
+  });
+
+  return namedStates;
+};
+
+/**
+ * @private
+ * @param {number|object.<string, boolean>|Array.<boolean>} value
+ * @returns {number}
+ * @throws {Error} If an unknown bit name is specified.
+ */
+Register.prototype.encodeBits = function(value)
+{
+  if (typeof value === 'number')
+  {
+    return value;
+  }
+
+  var raw = 0;
+
+  if (Array.isArray(value))
+  {
+    value.forEach(function(state, bit)
+    {
+      raw |= state ? 1 << bit : 0;
+    });
+
+    return raw;
+  }
+
+  var bits = this.bits || {};
+
+  Object.keys(value).forEach(function(name)
+  {
+    if (!bits.hasOwnProperty(name))
+    {
+      throw new Error(util.format(
+        "Unknown bit of register %s: %s", this.name, name
+      ));
+    }
+
+    raw |= value[name] ? 1 << bits[name] : 0;
+  }, this);
+
+  return raw;
+};
+
+/**
+ * @private
+ * @param {number|string} value
+ * @returns {number}
+ * @throws {Error} If an unknown label is specified.
+ */
+Register.prototype.encodeLabel = function(value)
+{
+  if (typeof value === 'number')
+  {
+    return value;
+  }
+
+  var labels = this.labels || {};
+  var raw = Object.keys(labels).filter(function(key)
+  {
+    return labels[key] === value;
+  })[0];
+
+  if (typeof raw === 'undefined')
+  {
+    throw new Error(util.format(
+      "Unknown label of register %s: %s", this.name, value
+    ));
+  }
+
+  return parseInt(raw, 10);
+};
+
+/**
+ * @private
+ * @param {object} options
+ * @returns {boolean}
+ */
+function isTypedTag(options)
+{
+  return typeof options.addr === 'undefined'
+    || typeof options.space !== 'undefined'
+    || typeof options.address !== 'undefined'
+    || options.type === 'bool'
+    || dataTypes.TYPES.indexOf(options.type) !== -1;
+}
+
+/**
+ * @private
+ * @param {number|Array.<number>|undefined} addr
+ * @returns {number}
+ */
+function getLegacyAddress(addr)
+{
+  if (Array.isArray(addr))
+  {
+    addr = addr[0];
+  }
+
+  return typeof addr === 'number' ? addr : 0;
+}
+
+/**
+ * @private
+ * @param {string} space
+ * @returns {boolean}
+ */
+function isBitSpace(space)
+{
+  return space === 'coil' || space === 'discrete';
+}
+
 module.exports = Register;
\ No newline at end of file
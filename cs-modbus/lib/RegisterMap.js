@@ -0,0 +1,143 @@
+'use strict';
+
+var util = require('util');
+var Register = require('./Register');
+
+module.exports = RegisterMap;
+
+/**
+ * A map of the typed tags of a device, by their names.
+ *
+ * @constructor
+ * @param {Array.<(Register|object)>} [registers] The tags or their options
+ * (see `Register`).
+ * @throws {Error} If any of the tags are invalid or their names
+ * are not unique.
+ */
+function RegisterMap(registers)
+{
+  /**
+   * @private
+   * @type {object.<string, Register>}
+   */
+  this.registers = {};
+
+  /**
+   * @private
+   * @type {Array.<string>}
+   */
+  this.names = [];
+
+  if (Array.isArray(registers))
+  {
+    registers.forEach(this.add, this);
+  }
+}
+
+/**
+ * @param {RegisterMap|Array.<(Register|object)>} map
+ * @returns {RegisterMap}
+ * @throws {Error} If any of the tags are invalid or their names
+ * are not unique.
+ */
+RegisterMap.fromOptions = function(map)
+{
+  if (map instanceof RegisterMap)
+  {
+    return map;
+  }
+
+  return new RegisterMap(map);
+};
+
+/**
+ * @param {Register|object} register A tag or its options.
+ * @returns {Register} The added tag.
+ * @throws {Error} If the tag is invalid or a tag with the same name
+ * already exists.
+ */
+RegisterMap.prototype.add = function(register)
+{
+  if (!(register instanceof Register))
+  {
+    register = new Register(register);
+  }
+
+  register.validate();
+
+  if (this.has(register.name))
+  {
+    throw new Error(util.format(
+      "A register named %s already exists in the map.", register.name
+    ));
+  }
+
+  this.registers[register.name] = register;
+  this.names.push(register.name);
+
+  return register;
+};
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+RegisterMap.prototype.has = function(name)
+{
+  return this.registers.hasOwnProperty(name);
+};
+
+/**
+ * @param {string} name
+ * @returns {Register}
+ * @throws {Error} If the map does not have a tag with the specified name.
+ */
+RegisterMap.prototype.get = function(name)
+{
+  if (!this.has(name))
+  {
+    throw new Error(util.format("Unknown register: %s", name));
+  }
+
+  return this.registers[name];
+};
+
+/**
+ * @returns {Array.<string>} Names of the tags, in the order they were added.
+ */
+RegisterMap.prototype.getNames = function()
+{
+  return this.names.slice();
+};
+
+/**
+ * @param {Array.<string>} [names] Names of the tags. Defaults to all tags.
+ * @returns {Array.<Register>}
+ * @throws {Error} If any of the specified names is unknown.
+ */
+RegisterMap.prototype.getRegisters = function(names)
+{
+  return (names || this.names).map(this.get, this);
+};
+
+/**
+ * @param {Array.<string>} [names] Names of the tags. Defaults to all
+ * readable tags.
+ * @returns {Array.<Register>} The tags, without the duplicates.
+ * @throws {Error} If any of the specified names is unknown.
+ */
+RegisterMap.prototype.getReadableRegisters = function(names)
+{
+  if (Array.isArray(names))
+  {
+    return this.getRegisters(names.filter(function(name, i)
+    {
+      return names.indexOf(name) === i;
+    }));
+  }
+
+  return this.getRegisters().filter(function(register)
+  {
+    return register.isReadable();
+  });
+};
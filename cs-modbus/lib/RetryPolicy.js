@@ -0,0 +1,153 @@
+'use strict';
+
+var util = require('util');
+
+module.exports = RetryPolicy;
+
+/**
+ * Decides how long the master waits before retrying a failed transaction.
+ *
+ * The `fixed` policy waits the same `delay` before each retry.
+ * The `exponential` policy multiplies the `delay` by the `multiplier` after
+ * each consecutive failure, up to the `maxDelay`. Both randomize the delay
+ * by up to `jitter` of its value (for example, `0.2` waits between 80%
+ * and 120% of the delay), so that the masters sharing a line do not retry
+ * in lockstep.
+ *
+ * @constructor
+ * @param {object} [options]
+ * @param {string} [options.type] `fixed` (default) or `exponential`.
+ * @param {number} [options.delay]
+ * @param {number} [options.multiplier]
+ * @param {number} [options.maxDelay]
+ * @param {number} [options.jitter]
+ * @throws {Error} If any of the specified options are not valid.
+ */
+function RetryPolicy(options)
+{
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  var type = typeof options.type === 'string' ? options.type : 'fixed';
+
+  if (RetryPolicy.TYPES.indexOf(type) === -1)
+  {
+    throw new Error(util.format(
+      "Invalid retry policy type. Expected one of: %s, got: %s",
+      RetryPolicy.TYPES.join(', '),
+      type
+    ));
+  }
+
+  /**
+   * @type {string}
+   */
+  this.type = type;
+
+  /**
+   * A number of milliseconds to wait before the first retry.
+   *
+   * @type {number}
+   */
+  this.delay = prepareNumber(options.delay, 0, 'delay');
+
+  /**
+   * The delay of the `exponential` policy is multiplied by this factor
+   * after each consecutive failure.
+   *
+   * @type {number}
+   */
+  this.multiplier = prepareNumber(options.multiplier, 2, 'multiplier');
+
+  /**
+   * A maximum number of milliseconds to wait before a retry
+   * (before the jitter is applied).
+   *
+   * @type {number}
+   */
+  this.maxDelay = prepareNumber(options.maxDelay, Infinity, 'max delay');
+
+  /**
+   * A fraction of the delay (between 0 and 1) by which the delay
+   * is randomized.
+   *
+   * @type {number}
+   */
+  this.jitter = Math.min(prepareNumber(options.jitter, 0, 'jitter'), 1);
+}
+
+/**
+ * @const
+ * @type {Array.<string>}
+ */
+RetryPolicy.TYPES = ['fixed', 'exponential'];
+
+/**
+ * @param {RetryPolicy|object|null} [options]
+ * @returns {RetryPolicy}
+ * @throws {Error} If any of the specified options are not valid.
+ */
+RetryPolicy.fromOptions = function(options)
+{
+  if (options instanceof RetryPolicy)
+  {
+    return options;
+  }
+
+  return new RetryPolicy(options);
+};
+
+/**
+ * @param {number} attempt A number of the consecutive failures so far,
+ * starting from 1.
+ * @returns {number} A number of milliseconds to wait before the next retry.
+ */
+RetryPolicy.prototype.getDelay = function(attempt)
+{
+  var delay = this.delay;
+
+  if (this.type === 'exponential')
+  {
+    delay *= Math.pow(this.multiplier, Math.max(attempt - 1, 0));
+  }
+
+  delay = Math.min(delay, this.maxDelay);
+
+  if (this.jitter > 0)
+  {
+    delay += delay * this.jitter * (Math.random() * 2 - 1);
+  }
+
+  return Math.max(Math.round(delay), 0);
+};
+
+/**
+ * @private
+ * @param {*} value
+ * @param {number} defaultValue
+ * @param {string} label
+ * @returns {number}
+ * @throws {Error} If the specified value is not a number greater than
+ * or equal to 0.
+ */
+function prepareNumber(value, defaultValue, label)
+{
+  if (typeof value === 'undefined')
+  {
+    return defaultValue;
+  }
+
+  if (typeof value !== 'number' || isNaN(value) || value < 0)
+  {
+    throw new Error(util.format(
+      "Invalid retry policy %s. "
+        + "Expected a number greater than or equal to 0, got: %s",
+      label,
+      value
+    ));
+  }
+
+  return value;
+}
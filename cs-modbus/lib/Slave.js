@@ -0,0 +1,622 @@
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var functions = require('./functions');
+
+module.exports = Slave;
+
+/**
+ * Request handlers by the function code.
+ *
+ * Each handler specifies a `method` of the data store to call, the `args`
+ * to call it with (besides the unit and the callback) and how to create
+ * the `response` from the results passed to the callback.
+ *
+ * @private
+ * @const
+ * @type {object.<number, object>}
+ */
+var REQUEST_HANDLERS = {
+  0x01: {
+    method: 'readCoils',
+    args: function(req) { return [req.getAddress(), req.getQuantity()]; },
+    response: function(req, states)
+    {
+      assertResultLength(states, req.getQuantity());
+
+      return new functions.ReadCoilsResponse(
+        states.slice(0, req.getQuantity())
+      );
+    }
+  },
+  0x02: {
+    method: 'readDiscreteInputs',
+    args: function(req) { return [req.getAddress(), req.getQuantity()]; },
+    response: function(req, states)
+    {
+      assertResultLength(states, req.getQuantity());
+
+      return new functions.ReadDiscreteInputsResponse(
+        states.slice(0, req.getQuantity())
+      );
+    }
+  },
+  0x03: {
+    method: 'readHoldingRegisters',
+    args: function(req) { return [req.getAddress(), req.getQuantity()]; },
+    response: function(req, values)
+    {
+      assertResultLength(values, req.getQuantity() * 2);
+
+      return new functions.ReadHoldingRegistersResponse(
+        values.slice(0, req.getQuantity() * 2)
+      );
+    }
+  },
+  0x04: {
+    method: 'readInputRegisters',
+    args: function(req) { return [req.getAddress(), req.getQuantity()]; },
+    response: function(req, values)
+    {
+      assertResultLength(values, req.getQuantity() * 2);
+
+      return new functions.ReadInputRegistersResponse(
+        values.slice(0, req.getQuantity() * 2)
+      );
+    }
+  },
+  0x05: {
+    method: 'writeCoils',
+    args: function(req) { return [req.getAddress(), [req.getState()]]; },
+    response: function(req)
+    {
+      return new functions.WriteSingleCoilResponse(
+        req.getAddress(), req.getState()
+      );
+    }
+  },
+  0x06: {
+    method: 'writeRegisters',
+    args: function(req)
+    {
+      var values = new Buffer(2);
+
+      values.writeUInt16BE(req.getValue(), 0);
+
+      return [req.getAddress(), values];
+    },
+    response: function(req)
+    {
+      return new functions.WriteSingleRegisterResponse(
+        req.getAddress(), req.getValue()
+      );
+    }
+  },
+  0x07: {
+    method: 'readExceptionStatus',
+    args: function() { return []; },
+    response: function(req, status)
+    {
+      return new functions.ReadExceptionStatusResponse(status || 0);
+    }
+  },
+  0x0F: {
+    method: 'writeCoils',
+    args: function(req) { return [req.getAddress(), req.getStates()]; },
+    response: function(req)
+    {
+      return new functions.WriteMultipleCoilsResponse(
+        req.getAddress(), req.getStates().length
+      );
+    }
+  },
+  0x10: {
+    method: 'writeRegisters',
+    args: function(req) { return [req.getAddress(), req.getValues()]; },
+    response: function(req)
+    {
+      return new functions.WriteMultipleRegistersResponse(
+        req.getAddress(), req.getValues().length / 2
+      );
+    }
+  },
+  0x11: {
+    method: 'reportSlaveId',
+    args: function() { return []; },
+    response: function(req, slaveId)
+    {
+      return functions.ReportSlaveIdResponse.fromOptions(slaveId);
+    }
+  },
+  0x16: {
+    method: 'maskWriteRegister',
+    args: function(req)
+    {
+      return [req.getAddress(), req.getAndMask(), req.getOrMask()];
+    },
+    response: function(req)
+    {
+      return new functions.MaskWriteRegisterResponse(
+        req.getAddress(), req.getAndMask(), req.getOrMask()
+      );
+    }
+  },
+  0x17: {
+    method: 'readWriteRegisters',
+    args: function(req)
+    {
+      return [
+        req.getReadAddress(),
+        req.getReadQuantity(),
+        req.getWriteAddress(),
+        req.getValues()
+      ];
+    },
+    response: function(req, values)
+    {
+      assertResultLength(values, req.getReadQuantity() * 2);
+
+      return new functions.ReadWriteMultipleRegistersResponse(
+        values.slice(0, req.getReadQuantity() * 2)
+      );
+    }
+  },
+  0x18: {
+    method: 'readFifoQueue',
+    args: function(req) { return [req.getAddress()]; },
+    response: function(req, values)
+    {
+      return new functions.ReadFifoQueueResponse(values);
+    }
+  },
+  0x41: {
+    method: 'readFifo8',
+    args: function(req) { return [req.getId(), req.getMax()]; },
+    response: function(req, values, status)
+    {
+      return new functions.ReadFifo8Response(status || 0, values);
+    }
+  },
+  0x42: {
+    method: 'writeFifo8',
+    args: function(req) { return [req.getId(), req.getValues()]; },
+    response: function(req, quantity)
+    {
+      return new functions.WriteFifo8Response(
+        typeof quantity === 'number' ? quantity : req.getValues().length
+      );
+    }
+  },
+  0x43: {
+    method: 'readObject',
+    args: function(req) { return [req.getId()]; },
+    response: function(req, values)
+    {
+      return new functions.ReadObjectResponse(values);
+    }
+  },
+  0x44: {
+    method: 'writeObject',
+    args: function(req) { return [req.getId(), req.getValues()]; },
+    response: function(req, status)
+    {
+      return new functions.WriteObjectResponse(status || 0);
+    }
+  },
+  0x45: {
+    method: 'readMemory',
+    args: function(req) { return [req.getAddress(), req.getCount()]; },
+    response: function(req, values)
+    {
+      return new functions.ReadMemoryResponse(values);
+    }
+  },
+  0x46: {
+    method: 'writeMemory',
+    args: function(req) { return [req.getAddress(), req.getValues()]; },
+    response: function(req, status)
+    {
+      return new functions.WriteMemoryResponse(status || 0);
+    }
+  },
+  0x47: {
+    method: 'command',
+    args: function(req) { return [req.getId(), req.getValues()]; },
+    response: function(req, values)
+    {
+      return new functions.CommandResponse(
+        req.getId(), values || new Buffer(0)
+      );
+    }
+  }
+};
+
+/**
+ * The handler of the functions registered with `functions.register()`
+ * that do not have a handler in `REQUEST_HANDLERS`. The decoded request
+ * is passed to the `request()` method of the data store, which must
+ * answer with a `Response`.
+ *
+ * @private
+ * @const
+ * @type {object}
+ */
+var CUSTOM_REQUEST_HANDLER = {
+  method: 'request',
+  args: function(req) { return [req]; },
+  response: function(req, response)
+  {
+    if (response === null
+      || typeof response !== 'object'
+      || typeof response.toBuffer !== 'function')
+    {
+      throw new Error("Expected the data store to return a Response.");
+    }
+
+    return response;
+  }
+};
+
+/**
+ * A MODBUS slave answering the requests received over any number of
+ * the `SlaveTransport`s with the data from a user supplied data store.
+ *
+ * The data store is an object implementing any of the following methods.
+ * Each of them is called with the unit the request was sent to, the request
+ * specific arguments and a node-style callback:
+ *
+ *   - `readCoils(unit, address, quantity, done(err, Array.<boolean>))`
+ *   - `readDiscreteInputs(unit, address, quantity, done(err, Array.<boolean>))`
+ *   - `readHoldingRegisters(unit, address, quantity, done(err, Buffer))`
+ *   - `readInputRegisters(unit, address, quantity, done(err, Buffer))`
+ *   - `writeCoils(unit, address, Array.<boolean>, done(err))` (0x05, 0x0F)
+ *   - `writeRegisters(unit, address, Buffer, done(err))` (0x06, 0x10)
+ *   - `readExceptionStatus(unit, done(err, status))`
+ *   - `reportSlaveId(unit, done(err, {product, run, version, values}))`
+ *   - `maskWriteRegister(unit, address, andMask, orMask, done(err))`
+ *   - `readWriteRegisters(unit, readAddress, readQuantity, writeAddress,
+ *     Buffer, done(err, Buffer))` (the registers are written before
+ *     they are read)
+ *   - `readFifoQueue(unit, address, done(err, Buffer))` (up to 31 registers)
+ *   - `readFifo8(unit, id, max, done(err, Buffer, status))`
+ *   - `writeFifo8(unit, id, Buffer, done(err, quantity))`
+ *   - `readObject(unit, id, done(err, Buffer))`
+ *   - `writeObject(unit, id, Buffer, done(err, status))`
+ *   - `readMemory(unit, address, count, done(err, Buffer))`
+ *   - `writeMemory(unit, address, Buffer, done(err, status))`
+ *   - `command(unit, id, Buffer, done(err, Buffer))`
+ *   - `request(unit, Request, done(err, Response))` (any other function
+ *     registered with `functions.register()`)
+ *
+ * Requests for the functions not supported by the store are answered with
+ * the Illegal Function exception (0x01) and requests that can not be decoded
+ * with the Illegal Data Value exception (0x03). An error passed to
+ * the callback or thrown by the store method is answered with its
+ * `exceptionCode` property or, if not set, with the Slave Device Failure
+ * exception (0x04).
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {Slave.Options|object} options
+ * @event request Emitted with the unit and the decoded `Request` before
+ * it is passed to the data store.
+ * @event response Emitted with the unit, the `Request` (`null` if it could
+ * not be decoded) and the `Response` (or `ExceptionResponse`) right before
+ * the response is sent.
+ * @event error Alias to the `error` event of the `TcpServer`s and
+ * the `Connection`s of the transports added with `addTransport()`.
+ */
+function Slave(options)
+{
+  EventEmitter.call(this);
+
+  /**
+   * @private
+   * @type {Slave.Options}
+   */
+  this.options = options instanceof Slave.Options
+    ? options
+    : new Slave.Options(options);
+
+  /**
+   * @private
+   * @type {object}
+   */
+  this.store = this.options.store;
+
+  /**
+   * @private
+   * @type {Array.<SlaveTransport>}
+   */
+  this.transports = [];
+
+  /**
+   * @private
+   * @type {Array.<TcpServer>}
+   */
+  this.servers = [];
+}
+
+util.inherits(Slave, EventEmitter);
+
+/**
+ * @constructor
+ * @param {object} options
+ * @param {object} options.store
+ * @param {number|Array.<number>} [options.units]
+ */
+Slave.Options = function(options)
+{
+  /**
+   * @type {object}
+   */
+  this.store = options.store;
+
+  /**
+   * Units answered by this slave (`null` to answer all of them).
+   *
+   * Broadcasts (unit 0 over the serial line) are always processed,
+   * but never answered.
+   *
+   * @type {Array.<number>|null}
+   */
+  this.units = typeof options.units === 'number'
+    ? [options.units]
+    : Array.isArray(options.units) ? options.units : null;
+};
+
+Slave.prototype.destroy = function()
+{
+  this.removeAllListeners();
+
+  this.options = null;
+  this.store = null;
+
+  if (this.servers !== null)
+  {
+    this.servers.forEach(function(server)
+    {
+      server.destroy();
+    });
+    this.servers = null;
+  }
+
+  if (this.transports !== null)
+  {
+    this.transports.forEach(function(transport)
+    {
+      transport.destroy();
+    });
+    this.transports = null;
+  }
+};
+
+/**
+ * @returns {object}
+ */
+Slave.prototype.getStore = function()
+{
+  return this.store;
+};
+
+/**
+ * @returns {Array.<SlaveTransport>}
+ */
+Slave.prototype.getTransports = function()
+{
+  return this.transports.slice();
+};
+
+/**
+ * Starts answering the requests received over the specified transport.
+ *
+ * @param {SlaveTransport} transport
+ */
+Slave.prototype.addTransport = function(transport)
+{
+  transport.getConnection().on('error', this.emit.bind(this, 'error'));
+
+  this.setUpTransport(transport);
+};
+
+/**
+ * Stops answering the requests received over the specified transport.
+ * The transport is not destroyed.
+ *
+ * @param {SlaveTransport} transport
+ */
+Slave.prototype.removeTransport = function(transport)
+{
+  var index = this.transports.indexOf(transport);
+
+  if (index !== -1)
+  {
+    this.transports.splice(index, 1);
+
+    transport.removeAllListeners('request');
+  }
+};
+
+/**
+ * Starts answering the requests received over each connection accepted
+ * by the specified server. The server is destroyed with the slave.
+ *
+ * @param {TcpServer} server
+ * @param {function(Connection): SlaveTransport} createTransport
+ */
+Slave.prototype.addServer = function(server, createTransport)
+{
+  var slave = this;
+
+  this.servers.push(server);
+
+  server.on('error', this.emit.bind(this, 'error'));
+  server.on('connection', function(connection)
+  {
+    var transport = createTransport(connection);
+
+    slave.setUpTransport(transport);
+
+    connection.on('close', function()
+    {
+      if (slave.transports !== null)
+      {
+        slave.removeTransport(transport);
+      }
+
+      transport.destroy();
+    });
+  });
+};
+
+/**
+ * @private
+ * @param {SlaveTransport} transport
+ */
+Slave.prototype.setUpTransport = function(transport)
+{
+  this.transports.push(transport);
+
+  transport.on('request', this.handleMessage.bind(this, transport));
+};
+
+/**
+ * @private
+ * @param {SlaveTransport} transport
+ * @param {SlaveTransport.Message} message
+ */
+Slave.prototype.handleMessage = function(transport, message)
+{
+  var units = this.options.units;
+
+  if (!message.broadcast
+    && units !== null
+    && units.indexOf(message.unit) === -1)
+  {
+    return;
+  }
+
+  var slave = this;
+
+  this.handleRequest(message.unit, message.pdu, function(request, response)
+  {
+    if (slave.transports === null)
+    {
+      return;
+    }
+
+    slave.emit('response', message.unit, request, response);
+
+    if (!message.broadcast)
+    {
+      transport.sendResponse(message, response.toBuffer());
+    }
+  });
+};
+
+/**
+ * @protected
+ * @param {number} unit
+ * @param {Buffer} pdu
+ * @param {function(Request|null, Response)} done
+ */
+Slave.prototype.handleRequest = function(unit, pdu, done)
+{
+  var code = pdu[0];
+  var handler = REQUEST_HANDLERS.hasOwnProperty(code)
+    ? REQUEST_HANDLERS[code]
+    : CUSTOM_REQUEST_HANDLER;
+
+  if (!functions.isRegistered(code)
+    || typeof this.store[handler.method] !== 'function')
+  {
+    return done(null, new functions.ExceptionResponse(code, 0x01));
+  }
+
+  var request;
+
+  try
+  {
+    request = functions.getRequestClass(code).fromBuffer(pdu);
+  }
+  catch (err)
+  {
+    return done(null, new functions.ExceptionResponse(code, 0x03));
+  }
+
+  this.emit('request', unit, request);
+
+  var args = [unit].concat(handler.args(request));
+  var responded = false;
+
+  function respond(err, result1, result2)
+  {
+    if (responded)
+    {
+      return;
+    }
+
+    responded = true;
+
+    var response;
+
+    if (!err)
+    {
+      try
+      {
+        response = handler.response(request, result1, result2);
+      }
+      catch (responseErr)
+      {
+        err = responseErr;
+      }
+    }
+
+    if (err)
+    {
+      response = new functions.ExceptionResponse(
+        code,
+        typeof err.exceptionCode === 'number' ? err.exceptionCode : 0x04
+      );
+    }
+
+    done(request, response);
+  }
+
+  args.push(respond);
+
+  try
+  {
+    this.store[handler.method].apply(this.store, args);
+  }
+  catch (err)
+  {
+    // An error thrown after the store responded comes from the `done`
+    // callback, not from the store.
+    if (responded)
+    {
+      throw err;
+    }
+
+    respond(err);
+  }
+};
+
+/**
+ * @private
+ * @param {Array|Buffer} result
+ * @param {number} expectedLength
+ * @throws {Error} If the result is shorter than expected.
+ */
+function assertResultLength(result, expectedLength)
+{
+  if (result.length < expectedLength)
+  {
+    throw new Error(util.format(
+      "Expected the data store to return at least %d items, got %d.",
+      expectedLength,
+      result.length
+    ));
+  }
+}
@@ -0,0 +1,83 @@
+/*jshint unused:false*/
+
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+module.exports = SlaveTransport;
+
+/**
+ * A slave side counterpart of the `Transport`: extracts the request PDUs
+ * from the ADUs received over a `Connection` and frames the response PDUs.
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {Connection} connection
+ * @event request Emitted with a `SlaveTransport.Message` when a complete
+ * and valid request ADU is received.
+ * @event response Emitted right before the response ADU is passed to
+ * the underlying `Connection`.
+ */
+function SlaveTransport(connection)
+{
+  EventEmitter.call(this);
+
+  /**
+   * @protected
+   * @type {Connection}
+   */
+  this.connection = connection;
+}
+
+util.inherits(SlaveTransport, EventEmitter);
+
+/**
+ * A request PDU received by the `SlaveTransport`.
+ *
+ * @constructor
+ * @param {number} unit
+ * @param {Buffer} pdu
+ * @param {number} [id] An MBAP transaction ID (IP framing only).
+ * @param {boolean} [broadcast]
+ */
+SlaveTransport.Message = function(unit, pdu, id, broadcast)
+{
+  /**
+   * @type {number}
+   */
+  this.unit = unit;
+
+  /**
+   * @type {Buffer}
+   */
+  this.pdu = pdu;
+
+  /**
+   * @type {number}
+   */
+  this.id = typeof id === 'number' ? id : -1;
+
+  /**
+   * Whether the request was broadcasted and must not be answered.
+   *
+   * @type {boolean}
+   */
+  this.broadcast = broadcast === true;
+};
+
+/**
+ * @returns {Connection}
+ */
+SlaveTransport.prototype.getConnection = function()
+{
+  return this.connection;
+};
+
+SlaveTransport.prototype.destroy = function() {};
+
+/**
+ * @param {SlaveTransport.Message} message A message the response is for.
+ * @param {Buffer} pdu
+ */
+SlaveTransport.prototype.sendResponse = function(message, pdu) {};
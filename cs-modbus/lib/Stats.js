@@ -0,0 +1,393 @@
+'use strict';
+
+var errors = require('./errors');
+
+module.exports = Stats;
+
+/**
+ * Default upper bounds (in milliseconds) of the latency histogram buckets.
+ *
+ * @private
+ * @const
+ * @type {Array.<number>}
+ */
+var DEFAULT_LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Communication statistics of a `Master`.
+ *
+ * Counters are kept in total, per unit and per function code.
+ *
+ * @constructor
+ * @param {Array.<number>} [latencyBuckets] Upper bounds (in milliseconds)
+ * of the latency histogram buckets, in ascending order.
+ */
+function Stats(latencyBuckets)
+{
+  /**
+   * @private
+   * @type {Array.<number>}
+   */
+  this.latencyBuckets = Array.isArray(latencyBuckets)
+    ? latencyBuckets
+    : DEFAULT_LATENCY_BUCKETS;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.since = 0;
+
+  /**
+   * @private
+   * @type {Stats.Counters}
+   */
+  this.total = null;
+
+  /**
+   * @private
+   * @type {object.<number, Stats.Counters>}
+   */
+  this.units = null;
+
+  /**
+   * @private
+   * @type {object.<number, Stats.Counters>}
+   */
+  this.functions = null;
+
+  this.reset();
+}
+
+/**
+ * @constructor
+ * @param {Array.<number>} latencyBuckets
+ */
+Stats.Counters = function(latencyBuckets)
+{
+  /**
+   * A number of the requests sent (including the retries).
+   *
+   * @type {number}
+   */
+  this.requests = 0;
+
+  /**
+   * A number of the responses received (including the exceptions).
+   *
+   * @type {number}
+   */
+  this.responses = 0;
+
+  /**
+   * A number of the completed broadcasts (unit 0), which are never answered.
+   *
+   * @type {number}
+   */
+  this.broadcasts = 0;
+
+  /**
+   * A number of the exception responses by the exception code.
+   *
+   * @type {object.<number, number>}
+   */
+  this.exceptions = {};
+
+  /**
+   * @type {number}
+   */
+  this.timeouts = 0;
+
+  /**
+   * @type {number}
+   */
+  this.checksumErrors = 0;
+
+  /**
+   * @type {number}
+   */
+  this.incompleteFrames = 0;
+
+  /**
+   * A number of the other errors (invalid response data, etc.).
+   *
+   * @type {number}
+   */
+  this.otherErrors = 0;
+
+  /**
+   * A number of the requests re-queued for a retry.
+   *
+   * @type {number}
+   */
+  this.retries = 0;
+
+  /**
+   * A round-trip time of the responses.
+   *
+   * @type {Stats.Histogram}
+   */
+  this.latency = new Stats.Histogram(latencyBuckets);
+};
+
+/**
+ * @constructor
+ * @param {Array.<number>} bounds
+ */
+Stats.Histogram = function(bounds)
+{
+  /**
+   * @type {Array.<{le: number, count: number}>}
+   */
+  this.buckets = bounds.map(function(bound)
+  {
+    return {le: bound, count: 0};
+  });
+
+  this.buckets.push({le: Infinity, count: 0});
+
+  /**
+   * @type {number}
+   */
+  this.count = 0;
+
+  /**
+   * @type {number}
+   */
+  this.sum = 0;
+
+  /**
+   * @type {number}
+   */
+  this.min = 0;
+
+  /**
+   * @type {number}
+   */
+  this.max = 0;
+};
+
+/**
+ * @param {number} value
+ */
+Stats.Histogram.prototype.add = function(value)
+{
+  for (var i = 0, l = this.buckets.length; i < l; ++i)
+  {
+    if (value <= this.buckets[i].le)
+    {
+      this.buckets[i].count += 1;
+
+      break;
+    }
+  }
+
+  if (this.count === 0 || value < this.min)
+  {
+    this.min = value;
+  }
+
+  if (value > this.max)
+  {
+    this.max = value;
+  }
+
+  this.count += 1;
+  this.sum += value;
+};
+
+/**
+ * @returns {number} An average of the added values.
+ */
+Stats.Histogram.prototype.getAverage = function()
+{
+  return this.count === 0 ? 0 : this.sum / this.count;
+};
+
+/**
+ * The last bucket (with `le` set to `null`) counts the values above
+ * the highest bound.
+ *
+ * @returns {object}
+ */
+Stats.Histogram.prototype.toJSON = function()
+{
+  return {
+    buckets: this.buckets.map(function(bucket)
+    {
+      return {
+        le: bucket.le === Infinity ? null : bucket.le,
+        count: bucket.count
+      };
+    }),
+    count: this.count,
+    sum: this.sum,
+    min: this.min,
+    max: this.max,
+    average: this.getAverage()
+  };
+};
+
+/**
+ * Clears all the counters.
+ */
+Stats.prototype.reset = function()
+{
+  this.since = Date.now();
+  this.total = new Stats.Counters(this.latencyBuckets);
+  this.units = {};
+  this.functions = {};
+};
+
+/**
+ * Returns a snapshot of the counters: the time of the last reset (`since`)
+ * and the `total`, per unit (`units`) and per function code (`functions`)
+ * counters.
+ *
+ * @returns {object}
+ */
+Stats.prototype.toJSON = function()
+{
+  return JSON.parse(JSON.stringify({
+    since: this.since,
+    total: this.total,
+    units: this.units,
+    functions: this.functions
+  }));
+};
+
+/**
+ * @param {Transaction} transaction
+ */
+Stats.prototype.recordRequest = function(transaction)
+{
+  this.getCounters(transaction).forEach(function(counters)
+  {
+    counters.requests += 1;
+  });
+};
+
+/**
+ * @param {Transaction} transaction
+ * @param {Response} response
+ */
+Stats.prototype.recordResponse = function(transaction, response)
+{
+  var latency = Date.now() - transaction.getStartTime();
+  var exceptionCode = response.isException()
+    ? response.getExceptionCode()
+    : -1;
+
+  this.getCounters(transaction).forEach(function(counters)
+  {
+    counters.responses += 1;
+    counters.latency.add(latency);
+
+    if (exceptionCode !== -1)
+    {
+      counters.exceptions[exceptionCode] =
+        (counters.exceptions[exceptionCode] || 0) + 1;
+    }
+  });
+};
+
+/**
+ * @param {Transaction} transaction
+ */
+Stats.prototype.recordBroadcast = function(transaction)
+{
+  this.getCounters(transaction).forEach(function(counters)
+  {
+    counters.broadcasts += 1;
+  });
+};
+
+/**
+ * @param {Transaction} transaction
+ */
+Stats.prototype.recordTimeout = function(transaction)
+{
+  this.getCounters(transaction).forEach(function(counters)
+  {
+    counters.timeouts += 1;
+  });
+};
+
+/**
+ * Timeouts are not counted here (see `recordTimeout()`). Exception responses
+ * handled as errors (`ExceptionError`) are counted as the responses.
+ *
+ * @param {Transaction} transaction
+ * @param {Error} error
+ */
+Stats.prototype.recordError = function(transaction, error)
+{
+  var counter;
+
+  if (error instanceof errors.ResponseTimeoutError
+    || error instanceof errors.UnitOfflineError
+    || error instanceof errors.InvalidBroadcastError)
+  {
+    return;
+  }
+
+  if (error instanceof errors.ExceptionError)
+  {
+    this.recordResponse(transaction, error.response);
+
+    return;
+  }
+
+  if (error instanceof errors.InvalidChecksumError)
+  {
+    counter = 'checksumErrors';
+  }
+  else if (error instanceof errors.IncompleteResponseFrameError)
+  {
+    counter = 'incompleteFrames';
+  }
+  else
+  {
+    counter = 'otherErrors';
+  }
+
+  this.getCounters(transaction).forEach(function(counters)
+  {
+    counters[counter] += 1;
+  });
+};
+
+/**
+ * @param {Transaction} transaction
+ */
+Stats.prototype.recordRetry = function(transaction)
+{
+  this.getCounters(transaction).forEach(function(counters)
+  {
+    counters.retries += 1;
+  });
+};
+
+/**
+ * @private
+ * @param {Transaction} transaction
+ * @returns {Array.<Stats.Counters>} The total, unit and function code
+ * counters of the specified transaction.
+ */
+Stats.prototype.getCounters = function(transaction)
+{
+  var unit = transaction.getUnit();
+  var code = transaction.getRequest().getCode();
+
+  if (!this.units.hasOwnProperty(unit))
+  {
+    this.units[unit] = new Stats.Counters(this.latencyBuckets);
+  }
+
+  if (!this.functions.hasOwnProperty(code))
+  {
+    this.functions[code] = new Stats.Counters(this.latencyBuckets);
+  }
+
+  return [this.total, this.units[unit], this.functions[code]];
+};
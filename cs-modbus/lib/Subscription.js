@@ -0,0 +1,437 @@
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var RegisterMap = require('./RegisterMap');
+
+module.exports = Subscription;
+
+/**
+ * Options of the subscription that are not applied to the poll transactions.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+var SUBSCRIPTION_OPTIONS = ['deadband', 'staleAfter'];
+
+/**
+ * A subscription to the changes of the polled tags.
+ *
+ * The tags are polled with `Master.pollTags()`, and the `change` event
+ * is emitted only when a tag's value differs from the last reported value
+ * by more than the tag's deadband. The first value of each tag is always
+ * reported (with the `oldValue` and the `oldTimestamp` set to `null`).
+ *
+ * A deadband applies to the numeric values only (the other values are
+ * reported on any change) and is either absolute (a number) or a percent
+ * of the last reported value (a string, e.g. `'5%'`).
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {Master} master
+ * @param {number} unit
+ * @param {RegisterMap|Array.<(Register|object)>|Register|object} tags
+ * A map of the tags, the tags or their options, a single tag or its options,
+ * or a range of the items (`space`, `address`, `quantity` and an optional
+ * `type`), each of which becomes a tag named `space:address`.
+ * @param {object} options
+ * @param {number} [options.interval] A number of milliseconds between
+ * the polls. Defaults to 1000.
+ * @param {number|string|object.<string, (number|string)>} [options.deadband]
+ * A deadband of all the numeric tags, or the deadbands by the tag names.
+ * Defaults to 0 (any change is reported).
+ * @param {number} [options.staleAfter] A number of the intervals after which
+ * a tag that could not be refreshed becomes stale. Defaults to 3.
+ * @throws {Error} If any of the tags or the specified options are not valid.
+ * @event change Emitted with an object describing the change of a tag:
+ * `name`, `oldValue`, `newValue`, `oldTimestamp` and `newTimestamp`.
+ * @event stale Emitted with an object describing the tag that could not
+ * be refreshed within `staleAfter` intervals: `name`, `value`,
+ * `timestamp` of the last refresh (or `null`, if it was never read)
+ * and the last poll `error` (or `null`).
+ * @event error Emitted with an `Error` if any of the polls failed, but only
+ * if there are any listeners, so that an unreachable device does not crash
+ * the process (its tags become stale instead).
+ * @event cancel Emitted after the subscription was cancelled.
+ */
+function Subscription(master, unit, tags, options)
+{
+  EventEmitter.call(this);
+
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  /**
+   * @private
+   * @type {Master}
+   */
+  this.master = master;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.unit = unit;
+
+  /**
+   * @private
+   * @type {RegisterMap}
+   */
+  this.map = prepareMap(tags);
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.interval = typeof options.interval === 'number'
+    ? options.interval
+    : 1000;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.staleAfter = typeof options.staleAfter === 'number'
+    ? options.staleAfter
+    : 3;
+
+  /**
+   * @private
+   * @type {object.<string, {value: number, percent: boolean}|null>}
+   */
+  this.deadbands = {};
+
+  /**
+   * @private
+   * @type {object.<string, object>}
+   */
+  this.states = {};
+
+  /**
+   * @private
+   * @type {object}
+   */
+  this.options = options;
+
+  /**
+   * @private
+   * @type {Array.<Transaction>}
+   */
+  this.transactions = [];
+
+  /**
+   * @private
+   * @type {*}
+   */
+  this.staleTimer = null;
+
+  /**
+   * @private
+   * @type {Error|null}
+   */
+  this.lastError = null;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.cancelled = false;
+
+  this.map.getReadableRegisters().forEach(function(register)
+  {
+    var deadband = options.deadband;
+
+    if (typeof deadband === 'object' && deadband !== null)
+    {
+      deadband = deadband[register.name];
+    }
+
+    this.deadbands[register.name] = prepareDeadband(deadband);
+  }, this);
+}
+
+util.inherits(Subscription, EventEmitter);
+
+/**
+ * Starts polling the tags.
+ *
+ * @throws {Error} If the poll could not be planned.
+ */
+Subscription.prototype.start = function()
+{
+  var pollOptions = {};
+
+  Object.keys(this.options).forEach(function(key)
+  {
+    if (SUBSCRIPTION_OPTIONS.indexOf(key) === -1)
+    {
+      pollOptions[key] = this.options[key];
+    }
+  }, this);
+
+  pollOptions.unit = this.unit;
+  pollOptions.interval = this.interval;
+  pollOptions.onResponse = this.onValues.bind(this);
+  pollOptions.onError = this.onError.bind(this);
+
+  var now = Date.now();
+
+  Object.keys(this.deadbands).forEach(function(name)
+  {
+    this.states[name] = {
+      value: null,
+      timestamp: null,
+      refreshedAt: now,
+      reported: false,
+      stale: false
+    };
+  }, this);
+
+  this.transactions = this.master.pollTags(this.map, pollOptions);
+  this.staleTimer = setInterval(this.checkStale.bind(this), this.interval);
+};
+
+/**
+ * Stops polling the tags.
+ */
+Subscription.prototype.cancel = function()
+{
+  if (this.cancelled)
+  {
+    return;
+  }
+
+  this.cancelled = true;
+
+  clearInterval(this.staleTimer);
+  this.staleTimer = null;
+
+  this.transactions.forEach(function(transaction)
+  {
+    transaction.cancel();
+  });
+
+  this.transactions = [];
+
+  this.emit('cancel');
+};
+
+/**
+ * @returns {boolean}
+ */
+Subscription.prototype.isCancelled = function()
+{
+  return this.cancelled;
+};
+
+/**
+ * @returns {RegisterMap}
+ */
+Subscription.prototype.getMap = function()
+{
+  return this.map;
+};
+
+/**
+ * @returns {object.<string, *>} The last reported values by the tag names
+ * (`null` if a tag was not read yet).
+ */
+Subscription.prototype.getValues = function()
+{
+  var values = {};
+
+  Object.keys(this.states).forEach(function(name)
+  {
+    values[name] = this.states[name].value;
+  }, this);
+
+  return values;
+};
+
+/**
+ * @private
+ * @param {object.<string, *>} values
+ */
+Subscription.prototype.onValues = function(values)
+{
+  if (this.cancelled)
+  {
+    return;
+  }
+
+  var now = Date.now();
+
+  Object.keys(values).forEach(function(name)
+  {
+    var state = this.states[name];
+    var value = values[name];
+
+    state.refreshedAt = now;
+    state.stale = false;
+
+    if (state.reported && !this.isChanged(name, state.value, value))
+    {
+      return;
+    }
+
+    var change = {
+      name: name,
+      oldValue: state.value,
+      newValue: value,
+      oldTimestamp: state.timestamp,
+      newTimestamp: now
+    };
+
+    state.value = value;
+    state.timestamp = now;
+    state.reported = true;
+
+    this.emit('change', change);
+  }, this);
+};
+
+/**
+ * @private
+ * @param {Error} error
+ */
+Subscription.prototype.onError = function(error)
+{
+  if (this.cancelled)
+  {
+    return;
+  }
+
+  this.lastError = error;
+
+  if (this.listeners('error').length > 0)
+  {
+    this.emit('error', error);
+  }
+};
+
+/**
+ * @private
+ * @param {string} name
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @returns {boolean}
+ */
+Subscription.prototype.isChanged = function(name, oldValue, newValue)
+{
+  var deadband = this.deadbands[name];
+
+  if (typeof oldValue !== 'number' || typeof newValue !== 'number')
+  {
+    return JSON.stringify(oldValue) !== JSON.stringify(newValue);
+  }
+
+  if (deadband === null)
+  {
+    return oldValue !== newValue;
+  }
+
+  var limit = deadband.percent
+    ? Math.abs(oldValue) * deadband.value / 100
+    : deadband.value;
+
+  return Math.abs(newValue - oldValue) > limit;
+};
+
+/**
+ * @private
+ */
+Subscription.prototype.checkStale = function()
+{
+  var staleTime = Date.now() - this.staleAfter * this.interval;
+
+  Object.keys(this.states).forEach(function(name)
+  {
+    var state = this.states[name];
+
+    if (state.stale || state.refreshedAt > staleTime)
+    {
+      return;
+    }
+
+    state.stale = true;
+
+    this.emit('stale', {
+      name: name,
+      value: state.value,
+      timestamp: state.reported ? state.refreshedAt : null,
+      error: this.lastError
+    });
+  }, this);
+};
+
+/**
+ * @private
+ * @param {RegisterMap|Array.<(Register|object)>|Register|object} tags
+ * @returns {RegisterMap}
+ * @throws {Error} If any of the tags are not valid.
+ */
+function prepareMap(tags)
+{
+  if (tags instanceof RegisterMap)
+  {
+    return tags;
+  }
+
+  if (Array.isArray(tags))
+  {
+    return new RegisterMap(tags);
+  }
+
+  if (typeof tags.quantity !== 'number')
+  {
+    return new RegisterMap([tags]);
+  }
+
+  var map = new RegisterMap();
+  var end = tags.address + tags.quantity;
+
+  for (var address = tags.address; address < end;)
+  {
+    address = map.add({
+      space: tags.space,
+      address: address,
+      type: tags.type,
+      order: tags.order
+    }).getEndAddress();
+  }
+
+  return map;
+}
+
+/**
+ * @private
+ * @param {number|string|undefined} deadband
+ * @returns {{value: number, percent: boolean}|null}
+ * @throws {Error} If the deadband is not valid.
+ */
+function prepareDeadband(deadband)
+{
+  if (typeof deadband === 'undefined' || deadband === 0)
+  {
+    return null;
+  }
+
+  var percent = typeof deadband === 'string' && /%$/.test(deadband);
+  var value = percent ? parseFloat(deadband) : deadband;
+
+  if (typeof value !== 'number' || isNaN(value) || value < 0)
+  {
+    throw new Error(util.format(
+      "Invalid deadband. Expected a number or a percent (e.g. '5%'), got: %s",
+      deadband
+    ));
+  }
+
+  return {
+    value: value,
+    percent: percent
+  };
+}
@@ -0,0 +1,268 @@
+'use strict';
+
+var util = require('util');
+var BlockTransfer = require('./BlockTransfer');
+var Register = require('./Register');
+var PollPlanner = require('./PollPlanner');
+var functions = require('./functions');
+
+module.exports = TagTransfer;
+
+/**
+ * Creators of the requests used instead of the block write requests
+ * when a chunk writes a single coil or a single holding register, as
+ * many devices support only the single write functions for those.
+ *
+ * @private
+ * @const
+ * @type {object.<string, function(number, (Buffer|Array.<boolean>)): Request>}
+ */
+var SINGLE_WRITE_REQUESTS = {
+  coil: function(address, states)
+  {
+    return new functions.WriteSingleCoilRequest(address, states[0]);
+  },
+  holding: function(address, values)
+  {
+    return new functions.WriteSingleRegisterRequest(
+      address, values.readUInt16BE(0)
+    );
+  }
+};
+
+/**
+ * A read or write of the typed tags of a `RegisterMap`.
+ *
+ * The reads are planned by a `PollPlanner` and each of their chunks has
+ * a `block` property with the planned `PollPlanner.Block`. The written tags
+ * are grouped by their address spaces and the adjacent tags are merged
+ * into as few requests as the block size limits allow. A chunk of a single
+ * coil or holding register is written with the Write Single Coil (0x05)
+ * or the Write Single Register (0x06) function. Each chunk has
+ * a `registers` property with the tags it covers.
+ *
+ * @constructor
+ * @extends {BlockTransfer}
+ * @param {Master} master
+ * @param {Array.<BlockTransfer.Chunk>} chunks
+ * @param {Array.<string>} names Names of the tags, in the order in which
+ * they are reported.
+ * @param {object} options Options applied to each chunk's transaction.
+ */
+function TagTransfer(master, chunks, names, options)
+{
+  BlockTransfer.call(this, master, chunks, options);
+
+  /**
+   * @private
+   * @type {Array.<string>}
+   */
+  this.names = names;
+}
+
+util.inherits(TagTransfer, BlockTransfer);
+
+/**
+ * @param {Master} master
+ * @param {RegisterMap} map
+ * @param {Array.<string>} [names] Names of the tags to read. Defaults to
+ * all readable tags of the map.
+ * @param {PollPlanner} planner
+ * @param {object} options
+ * @returns {TagTransfer}
+ * @throws {Error} If any of the tags are unknown, not readable or lie
+ * in the planner's holes.
+ */
+TagTransfer.read = function(master, map, names, planner, options)
+{
+  var registers = map.getReadableRegisters(names);
+  var chunks = planner.plan(registers).map(function(block)
+  {
+    var chunk = new BlockTransfer.Chunk(
+      block.address,
+      block.quantity,
+      block.createRequest(),
+      block.getValues.bind(block)
+    );
+
+    chunk.registers = block.registers;
+    chunk.block = block;
+
+    return chunk;
+  });
+
+  return new TagTransfer(master, chunks, registers.map(getName), options);
+};
+
+/**
+ * @param {Master} master
+ * @param {RegisterMap} map
+ * @param {object.<string, *>} values Values to write, by the tag names.
+ * @param {object} options
+ * @returns {TagTransfer}
+ * @throws {Error} If any of the tags are unknown, not writable or overlap
+ * each other, or any of the values can not be encoded.
+ */
+TagTransfer.write = function(master, map, values, options)
+{
+  var registers = map.getRegisters(Object.keys(values));
+
+  registers.forEach(function(register)
+  {
+    if (!register.isWritable())
+    {
+      throw new Error(util.format(
+        "Register %s is not writable.", register.name
+      ));
+    }
+  });
+
+  var chunks = [];
+
+  PollPlanner.groupBySpace(registers).forEach(function(group)
+  {
+    var definition =
+      BlockTransfer.WRITE_BLOCKS[Register.SPACES[group.space]];
+
+    planWrites(group.registers, definition.maxQuantity)
+      .forEach(function(plan)
+      {
+        var data = plan.registers.map(function(register)
+        {
+          return register.encode(values[register.name]);
+        });
+        var quantity = plan.end - plan.address;
+        var createRequest = quantity === 1
+          && SINGLE_WRITE_REQUESTS.hasOwnProperty(group.space)
+            ? SINGLE_WRITE_REQUESTS[group.space]
+            : definition.createRequest;
+        var chunk = new BlockTransfer.Chunk(
+          plan.address,
+          quantity,
+          createRequest(
+            plan.address,
+            group.space === 'coil' ? data : Buffer.concat(data)
+          ),
+          null
+        );
+
+        chunk.registers = plan.registers;
+
+        chunks.push(chunk);
+      });
+  });
+
+  return new TagTransfer(master, chunks, registers.map(getName), options);
+};
+
+/**
+ * Returns the decoded values of the tags read by the successful chunks.
+ *
+ * @returns {object.<string, *>|null} The values by the tag names
+ * (see `Register.decode()`), or `null` if this is a write.
+ */
+TagTransfer.prototype.getValues = function()
+{
+  if (this.chunks[0].getValues === null)
+  {
+    return null;
+  }
+
+  var decodedValues = {};
+
+  this.responses.forEach(function(response, i)
+  {
+    var blockValues = this.chunks[i].block.decode(response);
+
+    Object.keys(blockValues).forEach(function(name)
+    {
+      decodedValues[name] = blockValues[name];
+    });
+  }, this);
+
+  var values = {};
+
+  this.names.forEach(function(name)
+  {
+    if (decodedValues.hasOwnProperty(name))
+    {
+      values[name] = decodedValues[name];
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Merges the adjacent tags of one address space into the ranges of at most
+ * `maxQuantity` items.
+ *
+ * @private
+ * @param {Array.<Register>} registers
+ * @param {number} maxQuantity
+ * @returns {Array.<object>} The ranges, with a starting `address`, an `end`
+ * address (exclusive) and the `registers` they cover.
+ * @throws {Error} If any of the tags is larger than the `maxQuantity`
+ * or the tags overlap.
+ */
+function planWrites(registers, maxQuantity)
+{
+  var plans = [];
+  var plan = null;
+
+  registers
+    .slice()
+    .sort(function(a, b)
+    {
+      return a.address - b.address;
+    })
+    .forEach(function(register)
+    {
+      var end = register.getEndAddress();
+
+      if (register.getQuantity() > maxQuantity)
+      {
+        throw new Error(util.format(
+          "Register %s is larger than a single request allows (%d).",
+          register.name,
+          maxQuantity
+        ));
+      }
+
+      if (plan !== null && register.address < plan.end)
+      {
+        throw new Error(util.format(
+          "Register %s overlaps another register written at the same time.",
+          register.name
+        ));
+      }
+
+      if (plan === null
+        || register.address > plan.end
+        || end - plan.address > maxQuantity)
+      {
+        plan = {
+          address: register.address,
+          end: end,
+          registers: []
+        };
+
+        plans.push(plan);
+      }
+
+      plan.end = end;
+      plan.registers.push(register);
+    });
+
+  return plans;
+}
+
+/**
+ * @private
+ * @param {Register} register
+ * @returns {string}
+ */
+function getName(register)
+{
+  return register.name;
+}
@@ -0,0 +1,198 @@
+'use strict';
+
+var util = require('util');
+var net = require('net');
+var EventEmitter = require('events').EventEmitter;
+var TcpConnection = require('./connections/TcpConnection');
+
+module.exports = TcpServer;
+
+/**
+ * Accepts the TCP connections and wraps each of them in a `TcpConnection`.
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {TcpServer.Options|object} [options]
+ * @event listening Alias to the `listening` event of the underlying
+ * `net.Server`.
+ * @event connection Emitted with a new `TcpConnection` for each accepted
+ * socket.
+ * @event close Alias to the `close` event of the underlying `net.Server`.
+ * @event error Alias to the `error` event of the underlying `net.Server`.
+ */
+function TcpServer(options)
+{
+  EventEmitter.call(this);
+
+  /**
+   * @private
+   * @type {TcpServer.Options}
+   */
+  this.options = options instanceof TcpServer.Options
+    ? options
+    : new TcpServer.Options(options);
+
+  /**
+   * @private
+   * @type {Array.<TcpConnection>}
+   */
+  this.connections = [];
+
+  /**
+   * @private
+   * @type {net.Server}
+   */
+  this.server = this.setUpServer();
+
+  if (this.options.autoListen)
+  {
+    this.listen();
+  }
+}
+
+util.inherits(TcpServer, EventEmitter);
+
+/**
+ * @constructor
+ * @param {object} [options]
+ * @param {net.Server} [options.server]
+ * @param {string} [options.host]
+ * @param {number} [options.port]
+ * @param {boolean} [options.autoListen]
+ * @param {number} [options.maxConnections]
+ */
+TcpServer.Options = function(options)
+{
+  if (options === null || typeof options !== 'object')
+  {
+    options = {};
+  }
+
+  /**
+   * @type {net.Server}
+   */
+  this.server = options.server instanceof net.Server
+    ? options.server
+    : net.createServer();
+
+  /**
+   * @type {string}
+   */
+  this.host = typeof options.host === 'string' ? options.host : '0.0.0.0';
+
+  /**
+   * @type {number}
+   */
+  this.port = typeof options.port === 'number' ? options.port : 502;
+
+  /**
+   * @type {boolean}
+   */
+  this.autoListen = typeof options.autoListen === 'boolean'
+    ? options.autoListen
+    : true;
+
+  /**
+   * A maximum number of the simultaneous connections (`-1` for no limit).
+   *
+   * @type {number}
+   */
+  this.maxConnections = typeof options.maxConnections === 'number'
+    ? options.maxConnections
+    : -1;
+};
+
+TcpServer.prototype.destroy = function()
+{
+  this.removeAllListeners();
+
+  this.connections.forEach(function(connection)
+  {
+    connection.destroy();
+  });
+
+  this.connections = [];
+
+  if (this.server !== null)
+  {
+    this.server.removeAllListeners();
+    this.server.close();
+    this.server = null;
+  }
+};
+
+TcpServer.prototype.listen = function()
+{
+  this.server.listen(this.options.port, this.options.host);
+};
+
+/**
+ * @returns {net.Server}
+ */
+TcpServer.prototype.getServer = function()
+{
+  return this.server;
+};
+
+/**
+ * @returns {Array.<TcpConnection>}
+ */
+TcpServer.prototype.getConnections = function()
+{
+  return this.connections.slice();
+};
+
+/**
+ * @private
+ * @returns {net.Server}
+ */
+TcpServer.prototype.setUpServer = function()
+{
+  var server = this.options.server;
+
+  if (this.options.maxConnections >= 0)
+  {
+    server.maxConnections = this.options.maxConnections;
+  }
+
+  server.on('listening', this.emit.bind(this, 'listening'));
+  server.on('close', this.emit.bind(this, 'close'));
+  server.on('error', this.emit.bind(this, 'error'));
+  server.on('connection', this.onConnection.bind(this));
+
+  return server;
+};
+
+/**
+ * @private
+ * @param {net.Socket} socket
+ */
+TcpServer.prototype.onConnection = function(socket)
+{
+  var connection = new TcpConnection({
+    socket: socket,
+    autoConnect: false,
+    autoReconnect: false
+  });
+  var connections = this.connections;
+
+  connections.push(connection);
+
+  connection.on('close', function()
+  {
+    var index = connections.indexOf(connection);
+
+    if (index !== -1)
+    {
+      connections.splice(index, 1);
+    }
+
+    connection.destroy();
+  });
+
+  // Errors of the individual connections are followed by `close`
+  // and must not bring down the whole server.
+  connection.on('error', function() {});
+
+  this.emit('connection', connection);
+};
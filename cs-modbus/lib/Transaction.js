@@ -3,7 +3,10 @@
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var Request = require('./functions/Request');
-var ResponseTimeoutError = require('./errors').ResponseTimeoutError;
+var RetryPolicy = require('./RetryPolicy');
+var errors = require('./errors');
+
+var ResponseTimeoutError = errors.ResponseTimeoutError;
 
 module.exports = Transaction;
 
@@ -13,9 +16,12 @@ module.exports = Transaction;
  * @param {Request} request
  * @event error
  * @event response
- * @event complete
+ * @event complete Emitted with the error or the response of each attempt
+ * (both `null` for a completed broadcast).
  * @event timeout
  * @event cancel
+ * @event finish Emitted by the `Master` when the transaction completed and
+ * is not going to be retried.
  */
 function Transaction(request)
 {
@@ -45,12 +51,65 @@ function Transaction(request)
    */
   this.timeout = 0;
 
+  /**
+   * A number of milliseconds after which a broadcast is considered complete.
+   *
+   * @private
+   * @type {number}
+   */
+  this.broadcastTurnaround = 100;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.broadcast = false;
+
   /**
    * @private
    * @type {number}
    */
   this.interval = -1;
 
+  /**
+   * @private
+   * @type {string}
+   */
+  this.priority = 'normal';
+
+  /**
+   * Whether the exception responses are handled as errors
+   * (see `errors.createExceptionError()`).
+   *
+   * @private
+   * @type {boolean}
+   */
+  this.exceptionsAsErrors = false;
+
+  /**
+   * @private
+   * @type {RetryPolicy}
+   */
+  this.retryPolicy = new RetryPolicy();
+
+  /**
+   * A number of times the request was sent since the transaction was
+   * last finished.
+   *
+   * @private
+   * @type {number}
+   */
+  this.attempts = 0;
+
+  /**
+   * Numbers of milliseconds waited before each of the retries since
+   * the transaction was last finished.
+   *
+   * @private
+   * @type {Array.<number>}
+   */
+  this.retryDelays = [];
+
   /**
    * @private
    * @type {boolean}
@@ -69,6 +128,12 @@ function Transaction(request)
    */
   this.failures = 0;
 
+  /**
+   * @private
+   * @type {number}
+   */
+  this.startTime = -1;
+
   /**
    * @private
    * @type {number|null}
@@ -86,13 +151,27 @@ function Transaction(request)
 
 util.inherits(Transaction, EventEmitter);
 
+/**
+ * Names of the transaction queue lanes, from the highest priority
+ * to the lowest.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+Transaction.PRIORITIES = ['high', 'normal', 'background'];
+
 /**
  * @param {Transaction|object} options
- * @param {Request|object} options.request
+ * @param {Request|object|string} options.request A request, its options
+ * or its JSON representation (see `Request.fromJSON()`).
  * @param {number} [options.unit]
  * @param {number} [options.interval]
  * @param {number} [options.timeout]
+ * @param {number} [options.broadcastTurnaround]
  * @param {number} [options.maxRetries]
+ * @param {string} [options.priority]
+ * @param {boolean} [options.exceptionsAsErrors]
+ * @param {RetryPolicy|object} [options.retryPolicy]
  * @param {function} [options.onResponse]
  * @param {function} [options.onError]
  * @param {function} [options.onComplete]
@@ -108,7 +187,7 @@ Transaction.fromOptions = function(options)
 
   var request = options.request instanceof Request
     ? options.request
-    : Request.fromOptions(options.request);
+    : Request.fromJSON(options.request);
 
   var transaction = new Transaction(request);
 
@@ -134,11 +213,31 @@ Transaction.fromOptions = function(options)
     transaction.setTimeout(options.timeout);
   }
 
+  if (typeof options.broadcastTurnaround !== 'undefined')
+  {
+    transaction.setBroadcastTurnaround(options.broadcastTurnaround);
+  }
+
   if (typeof options.interval !== 'undefined')
   {
     transaction.setInterval(options.interval);
   }
 
+  if (typeof options.priority !== 'undefined')
+  {
+    transaction.setPriority(options.priority);
+  }
+
+  if (typeof options.exceptionsAsErrors !== 'undefined')
+  {
+    transaction.setExceptionsAsErrors(options.exceptionsAsErrors);
+  }
+
+  if (typeof options.retryPolicy !== 'undefined')
+  {
+    transaction.setRetryPolicy(options.retryPolicy);
+  }
+
   if (typeof options.onResponse === 'function')
   {
     transaction.on('response', options.onResponse);
@@ -286,6 +385,58 @@ Transaction.prototype.setTimeout = function(timeout)
   return this;
 };
 
+/**
+ * @returns {number}
+ */
+Transaction.prototype.getBroadcastTurnaround = function()
+{
+  return this.broadcastTurnaround;
+};
+
+/**
+ * @returns {boolean} Whether the request is broadcast to all the units,
+ * so that it is never answered.
+ */
+Transaction.prototype.isBroadcast = function()
+{
+  return this.broadcast;
+};
+
+/**
+ * Set by the master for the requests to unit 0 on the transports that
+ * support the broadcasts.
+ *
+ * @param {boolean} broadcast
+ * @returns {Transaction}
+ */
+Transaction.prototype.setBroadcast = function(broadcast)
+{
+  this.broadcast = broadcast;
+
+  return this;
+};
+
+/**
+ * @param {number} broadcastTurnaround
+ * @returns {Transaction}
+ * @throws {Error}
+ */
+Transaction.prototype.setBroadcastTurnaround = function(broadcastTurnaround)
+{
+  if (typeof broadcastTurnaround !== 'number' || broadcastTurnaround < 0)
+  {
+    throw new Error(util.format(
+      "Invalid broadcast turnaround value. "
+        + "Expected a number greater than or equal to 0, got: %s",
+      broadcastTurnaround
+    ));
+  }
+
+  this.broadcastTurnaround = broadcastTurnaround;
+
+  return this;
+};
+
 /**
  * @returns {number}
  */
@@ -315,6 +466,76 @@ Transaction.prototype.setInterval = function(interval)
   return this;
 };
 
+/**
+ * @returns {string}
+ */
+Transaction.prototype.getPriority = function()
+{
+  return this.priority;
+};
+
+/**
+ * @param {string} priority One of the `Transaction.PRIORITIES`.
+ * @returns {Transaction}
+ * @throws {Error}
+ */
+Transaction.prototype.setPriority = function(priority)
+{
+  if (Transaction.PRIORITIES.indexOf(priority) === -1)
+  {
+    throw new Error(util.format(
+      "Invalid priority value. Expected one of: %s, got: %s",
+      Transaction.PRIORITIES.join(', '),
+      priority
+    ));
+  }
+
+  this.priority = priority;
+
+  return this;
+};
+
+/**
+ * @returns {boolean}
+ */
+Transaction.prototype.getExceptionsAsErrors = function()
+{
+  return this.exceptionsAsErrors;
+};
+
+/**
+ * @param {boolean} exceptionsAsErrors Whether the exception responses
+ * should be emitted as `error` events with an `ExceptionError`
+ * (for example, `IllegalDataAddressError`) instead of `response` events.
+ * @returns {Transaction}
+ */
+Transaction.prototype.setExceptionsAsErrors = function(exceptionsAsErrors)
+{
+  this.exceptionsAsErrors = !!exceptionsAsErrors;
+
+  return this;
+};
+
+/**
+ * @returns {RetryPolicy}
+ */
+Transaction.prototype.getRetryPolicy = function()
+{
+  return this.retryPolicy;
+};
+
+/**
+ * @param {RetryPolicy|object} retryPolicy A retry policy or its options.
+ * @returns {Transaction}
+ * @throws {Error} If the specified retry policy options are not valid.
+ */
+Transaction.prototype.setRetryPolicy = function(retryPolicy)
+{
+  this.retryPolicy = RetryPolicy.fromOptions(retryPolicy);
+
+  return this;
+};
+
 /**
  * @returns {boolean}
  */
@@ -328,6 +549,15 @@ Transaction.prototype.isRepeatable = function()
  */
 Transaction.prototype.handleResponse = function(response)
 {
+  if (this.exceptionsAsErrors && response.isException())
+  {
+    this.handleError(
+      errors.createExceptionError(response, this.unit, this.request)
+    );
+
+    return;
+  }
+
   this.stopTimeout();
 
   if (response.isException())
@@ -352,6 +582,27 @@ Transaction.prototype.handleResponse = function(response)
   });
 };
 
+/**
+ * Completes the broadcast, which is never answered, without a response.
+ *
+ * @private
+ * @param {function} cb
+ */
+Transaction.prototype.handleBroadcast = function(cb)
+{
+  this.timeoutTimer = null;
+  this.failures = 0;
+
+  cb();
+
+  var transaction = this;
+
+  process.nextTick(function()
+  {
+    transaction.emit('complete', null, null);
+  });
+};
+
 /**
  * @param {Error} error
  */
@@ -361,6 +612,27 @@ Transaction.prototype.handleError = function(error)
 
   this.failures += 1;
 
+  this.completeWithError(error);
+};
+
+/**
+ * Completes the attempt that was not sent (for example, because the unit
+ * is offline) with the specified error. The skipped attempt is not counted
+ * as a failure, so it does not use up the retries.
+ *
+ * @param {Error} error
+ */
+Transaction.prototype.handleSkip = function(error)
+{
+  this.completeWithError(error);
+};
+
+/**
+ * @private
+ * @param {Error} error
+ */
+Transaction.prototype.completeWithError = function(error)
+{
   var transaction = this;
 
   process.nextTick(function()
@@ -379,12 +651,44 @@ Transaction.prototype.handleError = function(error)
  */
 Transaction.prototype.start = function(onTimeout)
 {
+  this.startTime = Date.now();
+  this.attempts += 1;
+
   this.timeoutTimer = setTimeout(
     this.handleTimeout.bind(this, onTimeout),
     this.timeout
   );
 };
 
+/**
+ * Starts the broadcast (unit 0) that was just sent. Broadcasts are never
+ * answered, so instead of waiting for a response, the transaction completes
+ * successfully (without a response) after the broadcast turnaround delay,
+ * which gives the slaves time to process the request.
+ *
+ * @param {function} onComplete Called when the turnaround delay elapses,
+ * before the `complete` event is emitted.
+ */
+Transaction.prototype.startBroadcast = function(onComplete)
+{
+  this.startTime = Date.now();
+  this.attempts += 1;
+
+  this.timeoutTimer = setTimeout(
+    this.handleBroadcast.bind(this, onComplete),
+    this.broadcastTurnaround
+  );
+};
+
+/**
+ * @returns {number} A time when the last attempt of this transaction
+ * was started, or `-1` if it wasn't started yet.
+ */
+Transaction.prototype.getStartTime = function()
+{
+  return this.startTime;
+};
+
 /**
  * @param {function} cb
  */
@@ -400,6 +704,23 @@ Transaction.prototype.scheduleExecution = function(cb)
   }
 };
 
+/**
+ * @returns {number} A number of the consecutive failed attempts.
+ */
+Transaction.prototype.getFailures = function()
+{
+  return this.failures;
+};
+
+/**
+ * @param {number} delay A number of milliseconds to wait.
+ * @param {function} cb Called with the transaction as `this`.
+ */
+Transaction.prototype.scheduleRetry = function(delay, cb)
+{
+  this.executionTimer = setTimeout(cb.bind(this), delay);
+};
+
 /**
  * @returns {boolean}
  */
@@ -408,6 +729,51 @@ Transaction.prototype.shouldRetry = function()
   return this.failures <= this.maxRetries;
 };
 
+/**
+ * @returns {number} A number of milliseconds to wait before the next retry,
+ * according to the retry policy.
+ */
+Transaction.prototype.getRetryDelay = function()
+{
+  return this.retryPolicy.getDelay(this.failures);
+};
+
+/**
+ * @param {number} delay A number of milliseconds waited before the retry.
+ */
+Transaction.prototype.recordRetry = function(delay)
+{
+  this.retryDelays.push(delay);
+};
+
+/**
+ * @returns {number} A number of times the request was sent since
+ * the transaction was last finished (`1` if it succeeded without retries).
+ */
+Transaction.prototype.getAttempts = function()
+{
+  return this.attempts;
+};
+
+/**
+ * @returns {Array.<number>} Numbers of milliseconds waited before each
+ * of the retries since the transaction was last finished.
+ */
+Transaction.prototype.getRetryDelays = function()
+{
+  return this.retryDelays;
+};
+
+/**
+ * Clears the attempt count and the retry delays before the next execution
+ * of a repeatable transaction.
+ */
+Transaction.prototype.resetAttempts = function()
+{
+  this.attempts = 0;
+  this.retryDelays = [];
+};
+
 Transaction.prototype.cancel = function()
 {
   if (this.cancelled)
@@ -0,0 +1,110 @@
+'use strict';
+
+var Transaction = require('./Transaction');
+
+module.exports = TransactionQueue;
+
+/**
+ * A queue of transactions waiting to be sent, with a separate FIFO lane
+ * for each of the `Transaction.PRIORITIES`.
+ *
+ * Transactions are always taken from the highest priority lane that is not
+ * empty, so the `high` transactions pre-empt the `normal` ones, which in turn
+ * pre-empt the `background` ones.
+ *
+ * @constructor
+ */
+function TransactionQueue()
+{
+  /**
+   * @private
+   * @type {object.<string, Array.<Transaction>>}
+   */
+  this.lanes = {};
+
+  /**
+   * A total number of the queued transactions.
+   *
+   * @readonly
+   * @type {number}
+   */
+  this.length = 0;
+
+  Transaction.PRIORITIES.forEach(function(priority)
+  {
+    this.lanes[priority] = [];
+  }, this);
+}
+
+/**
+ * Adds the specified transaction to the end of its lane.
+ *
+ * @param {Transaction} transaction
+ */
+TransactionQueue.prototype.push = function(transaction)
+{
+  this.lanes[transaction.getPriority()].push(transaction);
+  this.length += 1;
+};
+
+/**
+ * Adds the specified transaction to the front of its lane.
+ *
+ * @param {Transaction} transaction
+ */
+TransactionQueue.prototype.unshift = function(transaction)
+{
+  this.lanes[transaction.getPriority()].unshift(transaction);
+  this.length += 1;
+};
+
+/**
+ * Removes and returns the first transaction from the highest priority lane
+ * that is not empty.
+ *
+ * @returns {Transaction|undefined}
+ */
+TransactionQueue.prototype.shift = function()
+{
+  for (var i = 0, l = Transaction.PRIORITIES.length; i < l; ++i)
+  {
+    var lane = this.lanes[Transaction.PRIORITIES[i]];
+
+    if (lane.length > 0)
+    {
+      this.length -= 1;
+
+      return lane.shift();
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * @param {function(Transaction)} cb
+ * @param {*} [thisArg]
+ */
+TransactionQueue.prototype.forEach = function(cb, thisArg)
+{
+  Transaction.PRIORITIES.forEach(function(priority)
+  {
+    this.lanes[priority].forEach(cb, thisArg);
+  }, this);
+};
+
+/**
+ * @returns {object.<string, number>} A number of the queued transactions
+ * in each lane.
+ */
+TransactionQueue.prototype.getLengths = function()
+{
+  var lengths = {};
+
+  Transaction.PRIORITIES.forEach(function(priority)
+  {
+    lengths[priority] = this.lanes[priority].length;
+  }, this);
+
+  return lengths;
+};
@@ -35,6 +35,17 @@ Transport.prototype.getConnection = function()
 
 Transport.prototype.destroy = function() {};
 
+/**
+ * Whether the requests to unit 0 are broadcasts, which are sent to all
+ * the slaves and never answered (true for the serial line transports).
+ *
+ * @returns {boolean}
+ */
+Transport.prototype.supportsBroadcast = function()
+{
+  return false;
+};
+
 /**
  * @param {Transaction} transaction
  */
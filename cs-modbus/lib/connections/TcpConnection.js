@@ -84,7 +84,12 @@ function TcpConnection(options)
    */
   this.noActivityTimeTimer = null;
 
-  if (this.options.autoConnect)
+  // A socket accepted by a `net.Server` is already connected.
+  if (typeof this.socket.remoteAddress === 'string')
+  {
+    this.connected = true;
+  }
+  else if (this.options.autoConnect)
   {
     this.connect();
   }
@@ -0,0 +1,329 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * Definitions of the data types: a size in bytes (the size of a `string` is
+ * specified separately for each value), the `Buffer` methods (or functions)
+ * that read and write the big-endian value, and the range of the integer
+ * types.
+ *
+ * The 64-bit integers are JavaScript numbers, so only the values between
+ * `-(2^53 - 1)` and `2^53 - 1` are exact and can be written.
+ * `bitfield` and `enum` are unsigned 16-bit words, interpreted by
+ * the `Register`.
+ *
+ * @private
+ * @const
+ * @type {object.<string, object>}
+ */
+var DEFINITIONS = {
+  int8: {size: 1, read: 'readInt8', write: 'writeInt8', min: -0x80, max: 0x7F},
+  uint8: {size: 1, read: 'readUInt8', write: 'writeUInt8', min: 0, max: 0xFF},
+  int16: {
+    size: 2, read: 'readInt16BE', write: 'writeInt16BE',
+    min: -0x8000, max: 0x7FFF
+  },
+  uint16: {
+    size: 2, read: 'readUInt16BE', write: 'writeUInt16BE',
+    min: 0, max: 0xFFFF
+  },
+  int32: {
+    size: 4, read: 'readInt32BE', write: 'writeInt32BE',
+    min: -0x80000000, max: 0x7FFFFFFF
+  },
+  uint32: {
+    size: 4, read: 'readUInt32BE', write: 'writeUInt32BE',
+    min: 0, max: 0xFFFFFFFF
+  },
+  int64: {
+    size: 8, read: readInt64, write: writeInt64,
+    min: -0x1FFFFFFFFFFFFF, max: 0x1FFFFFFFFFFFFF
+  },
+  uint64: {
+    size: 8, read: readUInt64, write: writeInt64,
+    min: 0, max: 0x1FFFFFFFFFFFFF
+  },
+  float32: {size: 4, read: 'readFloatBE', write: 'writeFloatBE'},
+  float64: {size: 8, read: 'readDoubleBE', write: 'writeDoubleBE'},
+  string: {size: -1},
+  bitfield: {
+    size: 2, read: 'readUInt16BE', write: 'writeUInt16BE',
+    min: 0, max: 0xFFFF
+  },
+  enum: {
+    size: 2, read: 'readUInt16BE', write: 'writeUInt16BE',
+    min: 0, max: 0xFFFF
+  }
+};
+
+/**
+ * Names of the supported data types.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+exports.TYPES = Object.keys(DEFINITIONS);
+
+/**
+ * Byte orders of the multi-byte values, named after the order in which
+ * the bytes of a big-endian `ABCD` value are transmitted.
+ *
+ *   - `ABCD` - big-endian (the MODBUS standard),
+ *   - `CDAB` - the words are swapped (the bytes in each word are not),
+ *   - `BADC` - the bytes in each word are swapped (the words are not),
+ *   - `DCBA` - little-endian (both swapped).
+ *
+ * The 64-bit values follow the same rules for their four words.
+ * Only the byte swap applies to the strings.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+exports.ORDERS = ['ABCD', 'CDAB', 'BADC', 'DCBA'];
+
+/**
+ * @param {string} type One of the `TYPES`.
+ * @param {number} [length] A length of the `string` in bytes.
+ * @returns {number} A number of bytes taken by the value.
+ * @throws {Error} If the type is unknown.
+ */
+exports.getSize = function(type, length)
+{
+  exports.assertType(type);
+
+  return type === 'string' ? length : DEFINITIONS[type].size;
+};
+
+/**
+ * @param {string} type
+ * @throws {Error} If the specified type is not one of the `TYPES`.
+ */
+exports.assertType = function(type)
+{
+  if (!DEFINITIONS.hasOwnProperty(type))
+  {
+    throw new Error(util.format(
+      "Unknown data type. Expected one of: %s, got: %s",
+      exports.TYPES.join(', '),
+      type
+    ));
+  }
+};
+
+/**
+ * @param {string} order
+ * @throws {Error} If the specified order is not one of the `ORDERS`.
+ */
+exports.assertOrder = function(order)
+{
+  if (exports.ORDERS.indexOf(order) === -1)
+  {
+    throw new Error(util.format(
+      "Unknown byte order. Expected one of: %s, got: %s",
+      exports.ORDERS.join(', '),
+      order
+    ));
+  }
+};
+
+/**
+ * Converts the bytes between the specified order and the big-endian
+ * (`ABCD`) order. The conversion is symmetric, so the same call converts
+ * the bytes both ways.
+ *
+ * @param {Buffer} buffer
+ * @param {string} order One of the `ORDERS`.
+ * @returns {Buffer} A new buffer (or the same one, if nothing changes).
+ */
+exports.reorder = function(buffer, order)
+{
+  var swapWords = order === 'CDAB' || order === 'DCBA';
+  var swapBytes = order === 'BADC' || order === 'DCBA';
+
+  if (buffer.length < 2 || (!swapWords && !swapBytes))
+  {
+    return buffer;
+  }
+
+  var words = Math.floor(buffer.length / 2);
+  var result = new Buffer(buffer.length);
+
+  buffer.copy(result);
+
+  for (var i = 0; i < words; ++i)
+  {
+    var source = (swapWords ? words - 1 - i : i) * 2;
+    var target = i * 2;
+
+    result[target] = buffer[source + (swapBytes ? 1 : 0)];
+    result[target + 1] = buffer[source + (swapBytes ? 0 : 1)];
+  }
+
+  return result;
+};
+
+/**
+ * Decodes a raw value of the specified type.
+ *
+ * @param {string} type One of the `TYPES`.
+ * @param {Buffer} buffer Bytes of the value, exactly as received.
+ * @param {string} [order] One of the `ORDERS`. Defaults to `ABCD`.
+ * @returns {number|string} The decoded value. Strings are cut at the first
+ * NUL character, with the trailing spaces removed.
+ * @throws {Error} If the type is unknown or the buffer is too short.
+ */
+exports.decode = function(type, buffer, order)
+{
+  var size = exports.getSize(type, buffer.length);
+
+  if (buffer.length < size)
+  {
+    throw new Error(util.format(
+      "Expected at least %d bytes for a value of type %s, got: %d",
+      size,
+      type,
+      buffer.length
+    ));
+  }
+
+  if (type === 'string')
+  {
+    var string = exports.reorder(buffer, toByteSwapOrder(order))
+      .toString('ascii');
+    var nulIndex = string.indexOf('\u0000');
+
+    if (nulIndex !== -1)
+    {
+      string = string.substr(0, nulIndex);
+    }
+
+    return string.replace(/ +$/, '');
+  }
+
+  var read = DEFINITIONS[type].read;
+
+  buffer = exports.reorder(buffer.slice(0, size), order || 'ABCD');
+
+  return typeof read === 'function' ? read(buffer) : buffer[read](0, true);
+};
+
+/**
+ * Encodes a raw value of the specified type.
+ *
+ * @param {string} type One of the `TYPES`.
+ * @param {number|string} value The value to encode. Integers must fit
+ * the type's range.
+ * @param {string} [order] One of the `ORDERS`. Defaults to `ABCD`.
+ * @param {number} [length] A length of the `string` in bytes. Shorter
+ * strings are padded with NUL characters.
+ * @returns {Buffer} Bytes of the value, in the specified order.
+ * @throws {Error} If the type is unknown or the value does not fit it.
+ */
+exports.encode = function(type, value, order, length)
+{
+  var size = exports.getSize(type, length);
+  var buffer = new Buffer(size);
+
+  if (type === 'string')
+  {
+    value = String(value);
+
+    if (Buffer.byteLength(value, 'ascii') > size)
+    {
+      throw new Error(util.format(
+        "The string must be at most %d characters long, got: %d",
+        size,
+        value.length
+      ));
+    }
+
+    buffer.fill(0);
+    buffer.write(value, 0, size, 'ascii');
+
+    return exports.reorder(buffer, toByteSwapOrder(order));
+  }
+
+  if (typeof value !== 'number' || isNaN(value))
+  {
+    throw new Error(util.format(
+      "Expected a number for a value of type %s, got: %s", type, value
+    ));
+  }
+
+  var definition = DEFINITIONS[type];
+
+  if (typeof definition.min === 'number')
+  {
+    value = Math.round(value);
+
+    if (value < definition.min || value > definition.max)
+    {
+      throw new Error(util.format(
+        "The value must be between %d and %d for type %s, got: %d",
+        definition.min,
+        definition.max,
+        type,
+        value
+      ));
+    }
+  }
+
+  if (typeof definition.write === 'function')
+  {
+    definition.write(buffer, value);
+  }
+  else
+  {
+    buffer[definition.write](value, 0, true);
+  }
+
+  return exports.reorder(buffer, order || 'ABCD');
+};
+
+/**
+ * @private
+ * @param {string} [order]
+ * @returns {string} The byte swap part of the specified order.
+ */
+function toByteSwapOrder(order)
+{
+  return order === 'BADC' || order === 'DCBA' ? 'BADC' : 'ABCD';
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function readInt64(buffer)
+{
+  return buffer.readInt32BE(0, true) * 0x100000000
+    + buffer.readUInt32BE(4, true);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function readUInt64(buffer)
+{
+  return buffer.readUInt32BE(0, true) * 0x100000000
+    + buffer.readUInt32BE(4, true);
+}
+
+/**
+ * Writes both the signed and the unsigned 64-bit integers.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} value
+ */
+function writeInt64(buffer, value)
+{
+  var high = Math.floor(value / 0x100000000);
+
+  buffer.writeInt32BE(high, 0, true);
+  buffer.writeUInt32BE(value - high * 0x100000000, 4, true);
+}
@@ -0,0 +1,466 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var RegisterMap = require('./RegisterMap');
+var DeviceMapError = require('./errors').DeviceMapError;
+
+/**
+ * Converters of the CSV columns, by their names. The cells of the other
+ * columns are ignored.
+ *
+ * @private
+ * @const
+ * @type {object.<string, function(string): (string|number)>}
+ */
+var CSV_COLUMNS = {
+  name: String,
+  space: String,
+  address: parseInteger,
+  type: String,
+  order: String,
+  length: parseInteger,
+  scale: parseNumber,
+  offset: parseNumber,
+  units: String,
+  min: parseNumber,
+  max: parseNumber,
+  access: String,
+  description: String
+};
+
+/**
+ * Creates a register map from a JSON device description.
+ *
+ * The JSON is an array of the register options (see `Register`),
+ * or an object with such array as its `registers` property.
+ *
+ * @param {string} json
+ * @param {string} [file] A name of the file, used in the error messages.
+ * @returns {RegisterMap}
+ * @throws {DeviceMapError} If the JSON is not valid, or any of the registers
+ * is invalid or overlaps another one.
+ */
+exports.parseJson = function(json, file)
+{
+  var data;
+
+  try
+  {
+    data = JSON.parse(json);
+  }
+  catch (err)
+  {
+    var position = /position (\d+)/.exec(err.message);
+
+    throw createError(
+      file,
+      position === null ? -1 : getLineNumber(json, parseInt(position[1], 10)),
+      err.message
+    );
+  }
+
+  var registersKey = Array.isArray(data) ? null : 'registers';
+  var registers = registersKey === null
+    ? data
+    : data !== null && data.registers;
+
+  if (!Array.isArray(registers))
+  {
+    throw createError(
+      file,
+      1,
+      "Expected an array of registers or an object with a `registers` array."
+    );
+  }
+
+  var lines = findElementLines(json, registersKey);
+
+  return createMap(file, registers.map(function(options, i)
+  {
+    return {
+      line: lines[i] || -1,
+      options: options
+    };
+  }));
+};
+
+/**
+ * Creates a register map from a CSV device description.
+ *
+ * The first row is a header with the column names: `name`, `space`,
+ * `address`, `type`, `order`, `length`, `scale`, `offset`, `units`,
+ * `min`, `max`, `access` and `description` (in any order, only the `address`
+ * is required). The other columns are ignored. The empty cells use
+ * the defaults of the `Register`. The empty lines and the lines starting
+ * with `#` are skipped. The cells containing commas, quotes or line breaks
+ * must be quoted (`"`), with any quotes inside doubled.
+ *
+ * @param {string} csv
+ * @param {string} [file] A name of the file, used in the error messages.
+ * @returns {RegisterMap}
+ * @throws {DeviceMapError} If the CSV is not valid, or any of the registers
+ * is invalid or overlaps another one.
+ */
+exports.parseCsv = function(csv, file)
+{
+  var rows = parseCsvRows(csv, file).filter(function(row)
+  {
+    return row.cells.join('').trim() !== '' && row.cells[0].charAt(0) !== '#';
+  });
+
+  if (rows.length === 0)
+  {
+    throw createError(file, 1, "Expected a header row.");
+  }
+
+  var header = rows.shift();
+  var columns = header.cells.map(function(cell)
+  {
+    return cell.trim().toLowerCase();
+  });
+
+  if (columns.indexOf('address') === -1)
+  {
+    throw createError(file, header.line, "Expected an `address` column.");
+  }
+
+  return createMap(file, rows.map(function(row)
+  {
+    var options = {};
+
+    columns.forEach(function(column, i)
+    {
+      var cell = (row.cells[i] || '').trim();
+
+      if (!CSV_COLUMNS.hasOwnProperty(column) || cell === '')
+      {
+        return;
+      }
+
+      var value = CSV_COLUMNS[column](cell);
+
+      if (typeof value === 'number' && isNaN(value))
+      {
+        throw createError(file, row.line, util.format(
+          "Expected a number in the `%s` column, got: %s", column, cell
+        ));
+      }
+
+      options[column] = value;
+    });
+
+    return {
+      line: row.line,
+      options: options
+    };
+  }));
+};
+
+/**
+ * Loads a register map from a device description file: a JSON file
+ * (with the `.json` extension) or a CSV file (with any other extension).
+ *
+ * @param {string} file A path to the file.
+ * @param {function((Error|null), (RegisterMap|null))} done
+ */
+exports.load = function(file, done)
+{
+  fs.readFile(file, 'utf8', function(err, contents)
+  {
+    if (err)
+    {
+      return done(err, null);
+    }
+
+    var parse = path.extname(file).toLowerCase() === '.json'
+      ? exports.parseJson
+      : exports.parseCsv;
+    var map;
+
+    try
+    {
+      map = parse(contents, file);
+    }
+    catch (err)
+    {
+      return done(err, null);
+    }
+
+    return done(null, map);
+  });
+};
+
+/**
+ * @private
+ * @param {string|undefined} file
+ * @param {Array.<{line: number, options: object}>} entries
+ * @returns {RegisterMap}
+ * @throws {DeviceMapError}
+ */
+function createMap(file, entries)
+{
+  var map = new RegisterMap();
+  var lines = {};
+
+  entries.forEach(function(entry)
+  {
+    if (typeof entry.options !== 'object' || entry.options === null)
+    {
+      throw createError(file, entry.line, "Expected an object.");
+    }
+
+    try
+    {
+      lines[map.add(entry.options).name] = entry.line;
+    }
+    catch (err)
+    {
+      var error = createError(file, entry.line, err.message);
+
+      error.cause = err;
+
+      throw error;
+    }
+  });
+
+  var previous = {};
+
+  map.getRegisters()
+    .sort(function(a, b)
+    {
+      return a.address - b.address || lines[a.name] - lines[b.name];
+    })
+    .forEach(function(register)
+    {
+      var other = previous[register.space];
+
+      if (other && register.address < other.getEndAddress())
+      {
+        throw createError(file, lines[register.name], util.format(
+          "Register %s overlaps register %s (line %d).",
+          register.name,
+          other.name,
+          lines[other.name]
+        ));
+      }
+
+      if (!other || register.getEndAddress() > other.getEndAddress())
+      {
+        previous[register.space] = register;
+      }
+    });
+
+  return map;
+}
+
+/**
+ * @private
+ * @param {string|undefined} file
+ * @param {number} line A line number or `-1`, if unknown.
+ * @param {string} message
+ * @returns {DeviceMapError}
+ */
+function createError(file, line, message)
+{
+  var location = line === -1 ? '' : util.format('line %d', line);
+
+  if (typeof file === 'string')
+  {
+    location = file + (location === '' ? '' : ', ' + location);
+  }
+
+  var error = new DeviceMapError(
+    location === '' ? message : util.format('%s: %s', location, message)
+  );
+
+  error.file = typeof file === 'string' ? file : null;
+  error.line = line;
+  error.cause = null;
+
+  return error;
+}
+
+/**
+ * @private
+ * @param {string} text
+ * @param {number} index
+ * @returns {number} A number of the line of the character at the specified
+ * index, starting from 1.
+ */
+function getLineNumber(text, index)
+{
+  return text.substr(0, index).split('\n').length;
+}
+
+/**
+ * Finds the lines on which the elements of the registers array start.
+ *
+ * @private
+ * @param {string} json A valid JSON.
+ * @param {string|null} key A key of the registers array in the top-level
+ * object, or `null` if the JSON is the registers array.
+ * @returns {Array.<number>}
+ */
+function findElementLines(json, key)
+{
+  var lines = [];
+  var line = 1;
+  var stack = [];
+  var lastString = null;
+  var currentKey = null;
+  var expectValue = true;
+
+  for (var i = 0; i < json.length; ++i)
+  {
+    var char = json.charAt(i);
+    var top = stack[stack.length - 1];
+
+    if (expectValue && top && top.target && /[^\s,\]\}]/.test(char))
+    {
+      lines.push(line);
+    }
+
+    if (char === '\n')
+    {
+      line += 1;
+    }
+    else if (char === '"')
+    {
+      var end = i + 1;
+
+      while (json.charAt(end) !== '"')
+      {
+        end += json.charAt(end) === '\\' ? 2 : 1;
+      }
+
+      lastString = json.substring(i + 1, end);
+      i = end;
+    }
+    else if (char === ':')
+    {
+      currentKey = lastString;
+    }
+
+    if (char === '[' || char === '{')
+    {
+      stack.push({
+        target: char === '[' && (key === null
+          ? stack.length === 0
+          : stack.length === 1 && currentKey === key)
+      });
+    }
+    else if (char === ']' || char === '}')
+    {
+      stack.pop();
+    }
+
+    if (char === '[' || char === ',')
+    {
+      expectValue = true;
+    }
+    else if (/\S/.test(char))
+    {
+      expectValue = false;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * @private
+ * @param {string} csv
+ * @param {string|undefined} file
+ * @returns {Array.<{line: number, cells: Array.<string>}>}
+ * @throws {DeviceMapError} If a quoted cell is not closed.
+ */
+function parseCsvRows(csv, file)
+{
+  var rows = [];
+  var line = 1;
+  var row = {line: line, cells: []};
+  var cell = '';
+  var quoted = false;
+
+  for (var i = 0; i < csv.length; ++i)
+  {
+    var char = csv.charAt(i);
+
+    if (char === '\n')
+    {
+      line += 1;
+    }
+
+    if (quoted)
+    {
+      if (char !== '"')
+      {
+        cell += char;
+      }
+      else if (csv.charAt(i + 1) === '"')
+      {
+        cell += '"';
+        i += 1;
+      }
+      else
+      {
+        quoted = false;
+      }
+    }
+    else if (char === '"')
+    {
+      quoted = true;
+    }
+    else if (char === ',')
+    {
+      row.cells.push(cell);
+      cell = '';
+    }
+    else if (char === '\n')
+    {
+      row.cells.push(cell);
+      rows.push(row);
+      row = {line: line, cells: []};
+      cell = '';
+    }
+    else if (char !== '\r')
+    {
+      cell += char;
+    }
+  }
+
+  if (quoted)
+  {
+    throw createError(file, row.line, "A quoted cell is not closed.");
+  }
+
+  row.cells.push(cell);
+  rows.push(row);
+
+  return rows;
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {number} An integer (decimal or hexadecimal, with the `0x`
+ * prefix) or `NaN`.
+ */
+function parseInteger(value)
+{
+  var number = Number(value);
+
+  return number % 1 === 0 ? number : NaN;
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {number}
+ */
+function parseNumber(value)
+{
+  return Number(value);
+}
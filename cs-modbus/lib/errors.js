@@ -2,6 +2,12 @@
 
 var inherits = require('util').inherits;
 
+/**
+ * @private
+ * @type {object.<number, function(new:ExceptionError)>}
+ */
+var exceptionErrorClasses = {};
+
 /**
  * @constructor
  * @extends {Error}
@@ -52,13 +58,256 @@ exports.IncompleteResponseFrameError = createError(
   'Response frame received from the slave was incomplete.'
 );
 
+/**
+ * @constructor
+ * @extends {Error}
+ * @param {string} [message]
+ */
+exports.TransactionCancelledError = createError(
+  'TransactionCancelledError',
+  'The transaction was cancelled before it was completed.'
+);
+
+/**
+ * @constructor
+ * @extends {Error}
+ * @param {string} [message]
+ */
+exports.BlockTransferError = createError(
+  'BlockTransferError',
+  'One of the chunks of the block transfer failed.'
+);
+
+/**
+ * @constructor
+ * @extends {Error}
+ * @param {string} [message]
+ */
+exports.UnitOfflineError = createError(
+  'UnitOfflineError',
+  'The request was not sent, because the unit is offline.'
+);
+
+/**
+ * @constructor
+ * @extends {Error}
+ * @param {string} [message]
+ */
+exports.InvalidBroadcastError = createError(
+  'InvalidBroadcastError',
+  'Only the write requests can be broadcast to unit 0.'
+);
+
+/**
+ * Describes why `functions.decodeRequest()` or `functions.decodeResponse()`
+ * failed. Has the `buffer` that was decoded, the `functionCode`
+ * (or `-1` if the buffer was empty), the `exception` flag and the `cause`
+ * (the error thrown by the decoding class, if any).
+ *
+ * @constructor
+ * @extends {Error}
+ * @param {string} [message]
+ */
+exports.DecodeError = createError(
+  'DecodeError',
+  'The PDU could not be decoded.'
+);
+
+/**
+ * Describes an invalid entry of a device map file (see `deviceMaps`).
+ * Has the `file` name (or `null`), the `line` number (starting from 1)
+ * and the `cause` (the error thrown while creating the entry's register,
+ * if any).
+ *
+ * @constructor
+ * @extends {Error}
+ * @param {string} [message]
+ */
+exports.DeviceMapError = createError(
+  'DeviceMapError',
+  'The device map is not valid.'
+);
+
+/**
+ * The base class of the errors created from the exception responses
+ * (see `createExceptionError()`). Has the `functionCode` and
+ * the `exceptionCode` of the `response`, and the `unit` and the `request`
+ * of the transaction.
+ *
+ * @constructor
+ * @extends {Error}
+ * @param {string} [message]
+ */
+exports.ExceptionError = createError(
+  'ExceptionError',
+  'The slave answered with an exception.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.IllegalFunctionError = createExceptionErrorClass(
+  0x01,
+  'IllegalFunctionError',
+  'The function code is not supported by the slave.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.IllegalDataAddressError = createExceptionErrorClass(
+  0x02,
+  'IllegalDataAddressError',
+  'The data address is not valid for the slave.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.IllegalDataValueError = createExceptionErrorClass(
+  0x03,
+  'IllegalDataValueError',
+  'A value in the request is not valid for the slave.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.SlaveDeviceFailureError = createExceptionErrorClass(
+  0x04,
+  'SlaveDeviceFailureError',
+  'An unrecoverable error occurred while the slave was performing '
+    + 'the request.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.AcknowledgeError = createExceptionErrorClass(
+  0x05,
+  'AcknowledgeError',
+  'The slave accepted the request, but needs a long time to process it.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.SlaveDeviceBusyError = createExceptionErrorClass(
+  0x06,
+  'SlaveDeviceBusyError',
+  'The slave is busy processing a long-duration command.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.NegativeAcknowledgeError = createExceptionErrorClass(
+  0x07,
+  'NegativeAcknowledgeError',
+  'The slave cannot perform the program function.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.MemoryParityError = createExceptionErrorClass(
+  0x08,
+  'MemoryParityError',
+  'The slave detected a parity error in its memory.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.GatewayPathUnavailableError = createExceptionErrorClass(
+  0x0A,
+  'GatewayPathUnavailableError',
+  'The gateway was unable to allocate a path to the target device.'
+);
+
+/**
+ * @constructor
+ * @extends {ExceptionError}
+ * @param {string} [message]
+ */
+exports.GatewayTargetDeviceFailedError = createExceptionErrorClass(
+  0x0B,
+  'GatewayTargetDeviceFailedError',
+  'The target device behind the gateway failed to respond.'
+);
+
+/**
+ * Creates an error from the specified exception response. The error is
+ * an instance of the class registered for the response's exception code
+ * (for example, `IllegalDataAddressError` for 0x02), or of the base
+ * `ExceptionError` if the code is not a standard one.
+ *
+ * @param {ExceptionResponse} response
+ * @param {number} [unit]
+ * @param {Request} [request]
+ * @returns {ExceptionError}
+ */
+exports.createExceptionError = function(response, unit, request)
+{
+  var exceptionCode = response.getExceptionCode();
+  var ErrorClass = exceptionErrorClasses[exceptionCode]
+    || exports.ExceptionError;
+  var error = new ErrorClass();
+
+  error.functionCode = response.getCode();
+  error.exceptionCode = exceptionCode;
+  error.unit = typeof unit === 'number' ? unit : -1;
+  error.request = request || null;
+  error.response = response;
+
+  return error;
+};
+
+/**
+ * @private
+ * @param {number} exceptionCode
+ * @param {string} name
+ * @param {string} message
+ * @returns {function(new:ExceptionError)}
+ */
+function createExceptionErrorClass(exceptionCode, name, message)
+{
+  var ExceptionErrorClass = createError(name, message, exports.ExceptionError);
+
+  // Lets the slave data stores answer with the matching exception code.
+  ExceptionErrorClass.prototype.exceptionCode = exceptionCode;
+
+  exceptionErrorClasses[exceptionCode] = ExceptionErrorClass;
+
+  return ExceptionErrorClass;
+}
+
 /**
  * @private
  * @param {string} name
  * @param {string} message
+ * @param {function} [ParentError]
  * @returns {function(new:ModbusError)}
  */
-function createError(name, message)
+function createError(name, message, ParentError)
 {
   /**
    * @constructor
@@ -74,7 +323,7 @@ function createError(name, message)
     this.message = newMessage || message;
   }
   
-  inherits(ModbusError, Error);
+  inherits(ModbusError, ParentError || Error);
   
   return ModbusError;
 }
@@ -81,7 +81,7 @@ CommandRequest.fromBuffer = function(buffer)
   var byteCount = buffer.length - 2;
   var values = new Buffer(byteCount);
 
-  buffer.copy(values, 0, 3, 3 + byteCount);
+  buffer.copy(values, 0, 2, 2 + byteCount);
 
   return new CommandRequest(id, values);
 };
@@ -98,10 +98,11 @@ ExceptionResponse.fromBuffer = function(buffer)
 {
   util.assertBufferLength(buffer, 2);
 
-  if (buffer[0] <= 0x80)
+  if ((buffer[0] & 0x80) === 0)
   {
     throw new Error(util.format(
-      "Expected the function code to be above 128, got [%d]",
+      "Expected the function code to have the exception bit (0x80) set, "
+        + "got [%d]",
       buffer[0]
     ));
   }
@@ -128,12 +129,12 @@ ExceptionResponse.prototype.toString = function ()
 {
   var functionCode = '0x';
 
-  if (this.exceptionCode < 0xF)
+  if (this.getCode() <= 0xF)
   {
     functionCode += '0';
   }
 
-  functionCode += this.exceptionCode.toString(16);
+  functionCode += this.getCode().toString(16).toUpperCase();
 
   var message = 'Exception (' + this.exceptionCode + ')';
 
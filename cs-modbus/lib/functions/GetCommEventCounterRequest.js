@@ -0,0 +1,90 @@
+'use strict';
+
+var util = require('./util');
+var Request = require('./Request');
+var GetCommEventCounterResponse = require('./GetCommEventCounterResponse');
+
+module.exports = GetCommEventCounterRequest;
+
+/**
+ * The get comm event counter request (code 0x0B).
+ *
+ * A binary representation of this request is 1 byte long and consists of:
+ *
+ *   - a function code (1 byte).
+ *
+ * @constructor
+ * @extends {Request}
+ */
+function GetCommEventCounterRequest()
+{
+  Request.call(this, 0x0B);
+}
+
+util.inherits(GetCommEventCounterRequest, Request);
+
+/**
+ * Creates a new request from the specified `options`.
+ *
+ * This request has no options.
+ *
+ * @param {object} options An options object.
+ * @returns {GetCommEventCounterRequest} A request created
+ * from the specified `options`.
+ */
+GetCommEventCounterRequest.fromOptions = function(options)
+{
+  /*jshint unused:false*/
+
+  return new GetCommEventCounterRequest();
+};
+
+/**
+ * Creates a new request from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this request.
+ * @returns {GetCommEventCounterRequest} A request created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this request.
+ */
+GetCommEventCounterRequest.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 1);
+  util.assertFunctionCode(buffer[0], 0x0B);
+
+  return new GetCommEventCounterRequest();
+};
+
+/**
+ * Returns a binary representation of this request.
+ *
+ * @returns {Buffer} A binary representation of this request.
+ */
+GetCommEventCounterRequest.prototype.toBuffer = function()
+{
+  return new Buffer([0x0B]);
+};
+
+/**
+ * Returns a string representation of this request.
+ *
+ * @returns {string} A string representation of this request.
+ */
+GetCommEventCounterRequest.prototype.toString = function()
+{
+  return "0x0B (REQ) Get comm event counter";
+};
+
+/**
+ * @param {Buffer} responseBuffer
+ * @returns {Response}
+ * @throws {Error}
+ */
+GetCommEventCounterRequest.prototype.createResponse = function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    GetCommEventCounterResponse
+  );
+};
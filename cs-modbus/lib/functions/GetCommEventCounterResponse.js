@@ -0,0 +1,139 @@
+'use strict';
+
+var util = require('./util');
+var Response = require('./Response');
+
+module.exports = GetCommEventCounterResponse;
+
+/**
+ * The get comm event counter response (code 0x0B).
+ *
+ * A binary representation of this response is 5 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a status word (2 bytes; 0xFFFF if the slave is still processing
+ *     a previous command, 0x0000 otherwise),
+ *   - an event count (2 bytes).
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {boolean} busy Whether the slave is still processing a previously
+ * issued program command.
+ * @param {number} eventCount A number of the successfully completed
+ * messages. Must be between 0 and 0xFFFF.
+ * @throws {Error} If the `eventCount` is not a number between 0 and 0xFFFF.
+ */
+function GetCommEventCounterResponse(busy, eventCount)
+{
+  Response.call(this, 0x0B);
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.busy = !!busy;
+
+  /**
+   * A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.eventCount = util.prepareNumericOption(
+    eventCount, 0, 0, 0xFFFF, 'Event count'
+  );
+}
+
+util.inherits(GetCommEventCounterResponse, Response);
+
+/**
+ * Creates a new response from the specified `options`.
+ *
+ * Available options for this response are:
+ *
+ *   - `busy` (boolean, optional) -
+ *     Whether the slave is still processing a previous command.
+ *     Defaults to `false`.
+ *
+ *   - `eventCount` (number, optional) -
+ *     A number of the successfully completed messages. If specified,
+ *     must be a number between 0 and 0xFFFF. Defaults to 0.
+ *
+ * @param {object} options An options object.
+ * @param {boolean} [options.busy]
+ * @param {number} [options.eventCount]
+ * @returns {GetCommEventCounterResponse} A response created from
+ * the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+GetCommEventCounterResponse.fromOptions = function(options)
+{
+  return new GetCommEventCounterResponse(options.busy, options.eventCount);
+};
+
+/**
+ * Creates a new response from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this response.
+ * @returns {GetCommEventCounterResponse} A response created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this response.
+ */
+GetCommEventCounterResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 5);
+  util.assertFunctionCode(buffer[0], 0x0B);
+
+  return new GetCommEventCounterResponse(
+    buffer.readUInt16BE(1, true) === 0xFFFF,
+    buffer.readUInt16BE(3, true)
+  );
+};
+
+/**
+ * Returns a binary representation of this response.
+ *
+ * @returns {Buffer} A binary representation of this response.
+ */
+GetCommEventCounterResponse.prototype.toBuffer = function()
+{
+  var buffer = new Buffer(5);
+
+  buffer[0] = 0x0B;
+  buffer.writeUInt16BE(this.busy ? 0xFFFF : 0x0000, 1, true);
+  buffer.writeUInt16BE(this.eventCount, 3, true);
+
+  return buffer;
+};
+
+/**
+ * Returns a string representation of this response.
+ *
+ * @returns {string} A string representation of this response.
+ */
+GetCommEventCounterResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x0B (RES) Comm event counter: %d%s",
+    this.eventCount,
+    this.busy ? ' (busy)' : ''
+  );
+};
+
+/**
+ * @returns {boolean} Whether the slave is still processing a previously
+ * issued program command.
+ */
+GetCommEventCounterResponse.prototype.isBusy = function()
+{
+  return this.busy;
+};
+
+/**
+ * @returns {number} A number of the successfully completed messages.
+ */
+GetCommEventCounterResponse.prototype.getEventCount = function()
+{
+  return this.eventCount;
+};
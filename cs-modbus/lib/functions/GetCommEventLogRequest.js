@@ -0,0 +1,90 @@
+'use strict';
+
+var util = require('./util');
+var Request = require('./Request');
+var GetCommEventLogResponse = require('./GetCommEventLogResponse');
+
+module.exports = GetCommEventLogRequest;
+
+/**
+ * The get comm event log request (code 0x0C).
+ *
+ * A binary representation of this request is 1 byte long and consists of:
+ *
+ *   - a function code (1 byte).
+ *
+ * @constructor
+ * @extends {Request}
+ */
+function GetCommEventLogRequest()
+{
+  Request.call(this, 0x0C);
+}
+
+util.inherits(GetCommEventLogRequest, Request);
+
+/**
+ * Creates a new request from the specified `options`.
+ *
+ * This request has no options.
+ *
+ * @param {object} options An options object.
+ * @returns {GetCommEventLogRequest} A request created
+ * from the specified `options`.
+ */
+GetCommEventLogRequest.fromOptions = function(options)
+{
+  /*jshint unused:false*/
+
+  return new GetCommEventLogRequest();
+};
+
+/**
+ * Creates a new request from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this request.
+ * @returns {GetCommEventLogRequest} A request created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this request.
+ */
+GetCommEventLogRequest.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 1);
+  util.assertFunctionCode(buffer[0], 0x0C);
+
+  return new GetCommEventLogRequest();
+};
+
+/**
+ * Returns a binary representation of this request.
+ *
+ * @returns {Buffer} A binary representation of this request.
+ */
+GetCommEventLogRequest.prototype.toBuffer = function()
+{
+  return new Buffer([0x0C]);
+};
+
+/**
+ * Returns a string representation of this request.
+ *
+ * @returns {string} A string representation of this request.
+ */
+GetCommEventLogRequest.prototype.toString = function()
+{
+  return "0x0C (REQ) Get comm event log";
+};
+
+/**
+ * @param {Buffer} responseBuffer
+ * @returns {Response}
+ * @throws {Error}
+ */
+GetCommEventLogRequest.prototype.createResponse = function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    GetCommEventLogResponse
+  );
+};
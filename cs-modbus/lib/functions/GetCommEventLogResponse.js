@@ -0,0 +1,308 @@
+'use strict';
+
+var buffers = require('h5.buffers');
+var util = require('./util');
+var Response = require('./Response');
+
+module.exports = GetCommEventLogResponse;
+
+/**
+ * The get comm event log response (code 0x0C).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a byte count (`6 + N`; 1 byte),
+ *   - a status word (2 bytes; 0xFFFF if the slave is still processing
+ *     a previous command, 0x0000 otherwise),
+ *   - an event count (2 bytes),
+ *   - a message count (2 bytes),
+ *   - events (`N` bytes; from the most recent one).
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {boolean} busy Whether the slave is still processing a previously
+ * issued program command.
+ * @param {number} eventCount A number of the successfully completed
+ * messages. Must be between 0 and 0xFFFF.
+ * @param {number} messageCount A number of the messages processed by
+ * the slave. Must be between 0 and 0xFFFF.
+ * @param {Buffer} events Event bytes, from the most recent one.
+ * A buffer of length between 0 and 64.
+ * @throws {Error} If the `eventCount` or the `messageCount` is not a number
+ * between 0 and 0xFFFF.
+ * @throws {Error} If the length of the `events` buffer is greater than 64.
+ */
+function GetCommEventLogResponse(busy, eventCount, messageCount, events)
+{
+  Response.call(this, 0x0C);
+
+  if (events.length > 64)
+  {
+    throw new Error(util.format(
+      "The length of the `events` buffer must be between 0 and 64, got: %d",
+      events.length
+    ));
+  }
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.busy = !!busy;
+
+  /**
+   * A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.eventCount = util.prepareNumericOption(
+    eventCount, 0, 0, 0xFFFF, 'Event count'
+  );
+
+  /**
+   * A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.messageCount = util.prepareNumericOption(
+    messageCount, 0, 0, 0xFFFF, 'Message count'
+  );
+
+  /**
+   * @private
+   * @type {Buffer}
+   */
+  this.events = events;
+}
+
+util.inherits(GetCommEventLogResponse, Response);
+
+/**
+ * Decodes the specified event byte.
+ *
+ * The decoded event has the `type` property set to one of:
+ *
+ *   - `receive` - a message was received by the slave; has the
+ *     `communicationError`, `characterOverrun`, `listenOnly`
+ *     and `broadcast` flags,
+ *
+ *   - `send` - a response was sent by the slave; has the `readException`
+ *     (exception codes 1-3), `slaveAbortException` (code 4),
+ *     `slaveBusyException` (codes 5-6), `slaveNakException` (code 7),
+ *     `writeTimeout` and `listenOnly` flags,
+ *
+ *   - `listenOnly` - the slave entered the listen only mode,
+ *
+ *   - `restart` - the communications were restarted,
+ *
+ *   - `unknown` - the byte does not match any of the above.
+ *
+ * The original byte is available as the `value` property.
+ *
+ * @param {number} value An event byte.
+ * @returns {object} A decoded event.
+ */
+GetCommEventLogResponse.decodeEvent = function(value)
+{
+  if (value & 0x80)
+  {
+    return {
+      type: 'receive',
+      value: value,
+      communicationError: (value & 0x02) !== 0,
+      characterOverrun: (value & 0x10) !== 0,
+      listenOnly: (value & 0x20) !== 0,
+      broadcast: (value & 0x40) !== 0
+    };
+  }
+
+  if (value & 0x40)
+  {
+    return {
+      type: 'send',
+      value: value,
+      readException: (value & 0x01) !== 0,
+      slaveAbortException: (value & 0x02) !== 0,
+      slaveBusyException: (value & 0x04) !== 0,
+      slaveNakException: (value & 0x08) !== 0,
+      writeTimeout: (value & 0x10) !== 0,
+      listenOnly: (value & 0x20) !== 0
+    };
+  }
+
+  if (value === 0x04)
+  {
+    return {type: 'listenOnly', value: value};
+  }
+
+  if (value === 0x00)
+  {
+    return {type: 'restart', value: value};
+  }
+
+  return {type: 'unknown', value: value};
+};
+
+/**
+ * Creates a new response from the specified `options`.
+ *
+ * Available options for this response are:
+ *
+ *   - `busy` (boolean, optional) -
+ *     Whether the slave is still processing a previous command.
+ *     Defaults to `false`.
+ *
+ *   - `eventCount` (number, optional) -
+ *     A number of the successfully completed messages. If specified,
+ *     must be a number between 0 and 0xFFFF. Defaults to 0.
+ *
+ *   - `messageCount` (number, optional) -
+ *     A number of the messages processed by the slave. If specified,
+ *     must be a number between 0 and 0xFFFF. Defaults to 0.
+ *
+ *   - `events` (Buffer, optional) -
+ *     Event bytes, from the most recent one. If specified, must be
+ *     a buffer of length between 0 and 64. Defaults to an empty buffer.
+ *
+ * @param {object} options An options object.
+ * @param {boolean} [options.busy]
+ * @param {number} [options.eventCount]
+ * @param {number} [options.messageCount]
+ * @param {Buffer} [options.events]
+ * @returns {GetCommEventLogResponse} A response created from
+ * the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+GetCommEventLogResponse.fromOptions = function(options)
+{
+  return new GetCommEventLogResponse(
+    options.busy,
+    options.eventCount,
+    options.messageCount,
+    options.events || new Buffer(0)
+  );
+};
+
+/**
+ * Creates a new response from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this response.
+ * @returns {GetCommEventLogResponse} A response created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this response.
+ */
+GetCommEventLogResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 8);
+  util.assertFunctionCode(buffer[0], 0x0C);
+
+  var byteCount = buffer[1];
+
+  if (byteCount < 6)
+  {
+    throw new Error(util.format(
+      "The byte count must be at least 6, got: %d", byteCount
+    ));
+  }
+
+  util.assertBufferLength(buffer, 2 + byteCount);
+
+  var events = new Buffer(byteCount - 6);
+
+  buffer.copy(events, 0, 8, 2 + byteCount);
+
+  return new GetCommEventLogResponse(
+    buffer.readUInt16BE(2, true) === 0xFFFF,
+    buffer.readUInt16BE(4, true),
+    buffer.readUInt16BE(6, true),
+    events
+  );
+};
+
+/**
+ * Returns a binary representation of this response.
+ *
+ * @returns {Buffer} A binary representation of this response.
+ */
+GetCommEventLogResponse.prototype.toBuffer = function()
+{
+  return new buffers.BufferBuilder()
+    .pushByte(0x0C)
+    .pushByte(6 + this.events.length)
+    .pushUInt16(this.busy ? 0xFFFF : 0x0000)
+    .pushUInt16(this.eventCount)
+    .pushUInt16(this.messageCount)
+    .pushBuffer(this.events)
+    .toBuffer();
+};
+
+/**
+ * Returns a string representation of this response.
+ *
+ * @returns {string} A string representation of this response.
+ */
+GetCommEventLogResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x0C (RES) Comm event log with %d events (event count: %d, "
+      + "message count: %d)%s:",
+    this.events.length,
+    this.eventCount,
+    this.messageCount,
+    this.busy ? ' (busy)' : '',
+    this.events
+  );
+};
+
+/**
+ * @returns {boolean} Whether the slave is still processing a previously
+ * issued program command.
+ */
+GetCommEventLogResponse.prototype.isBusy = function()
+{
+  return this.busy;
+};
+
+/**
+ * @returns {number} A number of the successfully completed messages.
+ */
+GetCommEventLogResponse.prototype.getEventCount = function()
+{
+  return this.eventCount;
+};
+
+/**
+ * @returns {number} A number of the messages processed by the slave.
+ */
+GetCommEventLogResponse.prototype.getMessageCount = function()
+{
+  return this.messageCount;
+};
+
+/**
+ * @returns {Buffer} Event bytes, from the most recent one.
+ */
+GetCommEventLogResponse.prototype.getEventBytes = function()
+{
+  return this.events;
+};
+
+/**
+ * @returns {Array.<object>} Decoded events, from the most recent one
+ * (see `GetCommEventLogResponse.decodeEvent()`).
+ */
+GetCommEventLogResponse.prototype.getEvents = function()
+{
+  var events = [];
+
+  for (var i = 0; i < this.events.length; ++i)
+  {
+    events.push(GetCommEventLogResponse.decodeEvent(this.events[i]));
+  }
+
+  return events;
+};
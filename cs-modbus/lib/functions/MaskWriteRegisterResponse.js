@@ -0,0 +1,169 @@
+'use strict';
+
+var util = require('./util');
+var Response = require('./Response');
+
+module.exports = MaskWriteRegisterResponse;
+
+/**
+ * The mask write register response (code 0x16).
+ *
+ * A binary representation of this response is 7 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a register address (2 bytes),
+ *   - an AND mask (2 bytes),
+ *   - an OR mask (2 bytes).
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {number} address A register address. A number between 0 and 0xFFFF.
+ * @param {number} andMask An AND mask. A number between 0 and 0xFFFF.
+ * @param {number} orMask An OR mask. A number between 0 and 0xFFFF.
+ * @throws {Error} If the `address` is not a number between 0 and 0xFFFF.
+ * @throws {Error} If the `andMask` or the `orMask` is not a number
+ * between 0 and 0xFFFF.
+ */
+function MaskWriteRegisterResponse(address, andMask, orMask)
+{
+  Response.call(this, 0x16);
+
+  /**
+   * A register address. A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.address = util.prepareAddress(address);
+
+  /**
+   * An AND mask. A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.andMask = util.prepareNumericOption(
+    andMask, 0xFFFF, 0, 0xFFFF, 'AND mask'
+  );
+
+  /**
+   * An OR mask. A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.orMask = util.prepareNumericOption(orMask, 0, 0, 0xFFFF, 'OR mask');
+}
+
+util.inherits(MaskWriteRegisterResponse, Response);
+
+/**
+ * Creates a new response from the specified `options`.
+ *
+ * Available options for this response are:
+ *
+ *   - `address` (number, optional) -
+ *     A register address. If specified, must be a number between 0 and 0xFFFF.
+ *     Defaults to 0.
+ *
+ *   - `andMask` (number, optional) -
+ *     An AND mask. If specified, must be a number between 0 and 0xFFFF.
+ *     Defaults to 0xFFFF.
+ *
+ *   - `orMask` (number, optional) -
+ *     An OR mask. If specified, must be a number between 0 and 0xFFFF.
+ *     Defaults to 0.
+ *
+ * @param {object} options An options object.
+ * @param {number} [options.address]
+ * @param {number} [options.andMask]
+ * @param {number} [options.orMask]
+ * @returns {MaskWriteRegisterResponse} A response created from
+ * the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+MaskWriteRegisterResponse.fromOptions = function(options)
+{
+  return new MaskWriteRegisterResponse(
+    options.address,
+    options.andMask,
+    options.orMask
+  );
+};
+
+/**
+ * Creates a new response from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this response.
+ * @returns {MaskWriteRegisterResponse} A response created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this response.
+ */
+MaskWriteRegisterResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 7);
+  util.assertFunctionCode(buffer[0], 0x16);
+
+  return new MaskWriteRegisterResponse(
+    buffer.readUInt16BE(1, true),
+    buffer.readUInt16BE(3, true),
+    buffer.readUInt16BE(5, true)
+  );
+};
+
+/**
+ * Returns a binary representation of this response.
+ *
+ * @returns {Buffer} A binary representation of this response.
+ */
+MaskWriteRegisterResponse.prototype.toBuffer = function()
+{
+  var buffer = new Buffer(7);
+
+  buffer[0] = 0x16;
+  buffer.writeUInt16BE(this.address, 1, true);
+  buffer.writeUInt16BE(this.andMask, 3, true);
+  buffer.writeUInt16BE(this.orMask, 5, true);
+
+  return buffer;
+};
+
+/**
+ * Returns a string representation of this response.
+ *
+ * @returns {string} A string representation of this response.
+ */
+MaskWriteRegisterResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x16 (RES) Register at address %d was masked with AND: 0x%s, OR: 0x%s",
+    this.address,
+    this.andMask.toString(16),
+    this.orMask.toString(16)
+  );
+};
+
+/**
+ * @returns {number} A register address.
+ */
+MaskWriteRegisterResponse.prototype.getAddress = function()
+{
+  return this.address;
+};
+
+/**
+ * @returns {number} An AND mask.
+ */
+MaskWriteRegisterResponse.prototype.getAndMask = function()
+{
+  return this.andMask;
+};
+
+/**
+ * @returns {number} An OR mask.
+ */
+MaskWriteRegisterResponse.prototype.getOrMask = function()
+{
+  return this.orMask;
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+var util = require('./util');
+var Request = require('./Request');
+var ReadDeviceIdentificationResponse =
+  require('./ReadDeviceIdentificationResponse');
+
+module.exports = ReadDeviceIdentificationRequest;
+
+/**
+ * Read Device ID codes by the access type name.
+ *
+ * @const
+ * @type {object.<string, number>}
+ */
+ReadDeviceIdentificationRequest.ACCESS = {
+  basic: 0x01,
+  regular: 0x02,
+  extended: 0x03,
+  individual: 0x04
+};
+
+/**
+ * The read device identification request (code 0x2B, MEI type 0x0E).
+ *
+ * The `basic`, `regular` and `extended` access types read a stream of
+ * objects starting from the specified object ID (a slave may need more than
+ * one transaction to send all of them; see
+ * `ReadDeviceIdentificationResponse.isMoreFollows()`). The `individual`
+ * access type reads only the specified object.
+ *
+ * A binary representation of this request is 4 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a MEI type (1 byte, always 0x0E),
+ *   - a Read Device ID code (1 byte),
+ *   - an object ID (1 byte).
+ *
+ * @constructor
+ * @extends {Request}
+ * @param {number|string} readCode A Read Device ID code (a number between
+ * 1 and 4) or one of the `ReadDeviceIdentificationRequest.ACCESS` names.
+ * @param {number} objectId An object ID. A number between 0 and 255.
+ * @throws {Error} If the `readCode` is not a valid Read Device ID code.
+ * @throws {Error} If the `objectId` is not a number between 0 and 255.
+ */
+function ReadDeviceIdentificationRequest(readCode, objectId)
+{
+  Request.call(this, 0x2B);
+
+  if (ReadDeviceIdentificationRequest.ACCESS.hasOwnProperty(readCode))
+  {
+    readCode = ReadDeviceIdentificationRequest.ACCESS[readCode];
+  }
+
+  /**
+   * A Read Device ID code. A number between 1 and 4.
+   *
+   * @private
+   * @type {number}
+   */
+  this.readCode = util.prepareNumericOption(
+    readCode, 0x01, 0x01, 0x04, 'Read Device ID code'
+  );
+
+  /**
+   * An object ID. A number between 0 and 255.
+   *
+   * @private
+   * @type {number}
+   */
+  this.objectId = util.prepareNumericOption(
+    objectId, 0x00, 0x00, 0xFF, 'Object id'
+  );
+}
+
+util.inherits(ReadDeviceIdentificationRequest, Request);
+
+/**
+ * Creates a new request from the specified `options`.
+ *
+ * Available options for this request are:
+ *
+ *   - `readCode` (number|string, optional) -
+ *     A Read Device ID code (a number between 1 and 4) or an access type
+ *     name (`basic`, `regular`, `extended` or `individual`).
+ *     Defaults to 1 (`basic`).
+ *
+ *   - `objectId` (number, optional) -
+ *     An object ID. If specified, must be a number between 0 and 255.
+ *     Defaults to 0.
+ *
+ * @param {object} options An options object.
+ * @param {number|string} [options.readCode]
+ * @param {number} [options.objectId]
+ * @returns {ReadDeviceIdentificationRequest} A request created
+ * from the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+ReadDeviceIdentificationRequest.fromOptions = function(options)
+{
+  return new ReadDeviceIdentificationRequest(
+    options.readCode,
+    options.objectId
+  );
+};
+
+/**
+ * Creates a new request from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this request.
+ * @returns {ReadDeviceIdentificationRequest} A request created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this request.
+ */
+ReadDeviceIdentificationRequest.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 4);
+  util.assertFunctionCode(buffer[0], 0x2B);
+  ReadDeviceIdentificationResponse.assertMeiType(buffer[1]);
+
+  return new ReadDeviceIdentificationRequest(buffer[2], buffer[3]);
+};
+
+/**
+ * Returns a binary representation of this request.
+ *
+ * @returns {Buffer} A binary representation of this request.
+ */
+ReadDeviceIdentificationRequest.prototype.toBuffer = function()
+{
+  return new Buffer([0x2B, 0x0E, this.readCode, this.objectId]);
+};
+
+/**
+ * Returns a string representation of this request.
+ *
+ * @returns {string} A string representation of this request.
+ */
+ReadDeviceIdentificationRequest.prototype.toString = function()
+{
+  return util.format(
+    "0x2B (REQ) Read device identification (code %d) starting from object %d",
+    this.readCode,
+    this.objectId
+  );
+};
+
+/**
+ * @param {Buffer} responseBuffer
+ * @returns {Response}
+ * @throws {Error}
+ */
+ReadDeviceIdentificationRequest.prototype.createResponse =
+  function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    ReadDeviceIdentificationResponse
+  );
+};
+
+/**
+ * @returns {number} A Read Device ID code.
+ */
+ReadDeviceIdentificationRequest.prototype.getReadCode = function()
+{
+  return this.readCode;
+};
+
+/**
+ * @returns {number} An object ID.
+ */
+ReadDeviceIdentificationRequest.prototype.getObjectId = function()
+{
+  return this.objectId;
+};
@@ -0,0 +1,317 @@
+'use strict';
+
+var buffers = require('h5.buffers');
+var util = require('./util');
+var Response = require('./Response');
+
+module.exports = ReadDeviceIdentificationResponse;
+
+/**
+ * Names of the basic (0x00-0x02) and regular (0x03-0x06) objects.
+ *
+ * @const
+ * @type {object.<number, string>}
+ */
+ReadDeviceIdentificationResponse.OBJECT_NAMES = {
+  0x00: 'vendorName',
+  0x01: 'productCode',
+  0x02: 'majorMinorRevision',
+  0x03: 'vendorUrl',
+  0x04: 'productName',
+  0x05: 'modelName',
+  0x06: 'userApplicationName'
+};
+
+/**
+ * The read device identification response (code 0x2B, MEI type 0x0E).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a MEI type (1 byte, always 0x0E),
+ *   - a Read Device ID code (1 byte),
+ *   - a conformity level (1 byte),
+ *   - a more follows flag (1 byte, 0x00 or 0xFF),
+ *   - a next object ID (1 byte),
+ *   - a number of objects (`N`; 1 byte),
+ *   - `N` objects, each consisting of:
+ *     - an object ID (1 byte),
+ *     - an object length (`L`; 1 byte),
+ *     - an object value (`L` bytes).
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {number} readCode A Read Device ID code of the request.
+ * @param {number} conformityLevel A conformity level of the device.
+ * @param {boolean} moreFollows Whether more objects must be requested
+ * starting from the `nextObjectId`.
+ * @param {number} nextObjectId An ID of the first object that did not fit
+ * in this response.
+ * @param {Array.<{id: number, value: Buffer}>} objects
+ * @throws {Error} If any of the objects is invalid.
+ */
+function ReadDeviceIdentificationResponse(
+  readCode, conformityLevel, moreFollows, nextObjectId, objects)
+{
+  Response.call(this, 0x2B);
+
+  objects.forEach(function(object)
+  {
+    util.prepareNumericOption(object.id, 0, 0, 255, 'Object id');
+
+    if (!Buffer.isBuffer(object.value) || object.value.length > 255)
+    {
+      throw new Error(util.format(
+        "The value of object %d must be a Buffer of length "
+          + "between 0 and 255.",
+        object.id
+      ));
+    }
+  });
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.readCode = readCode;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.conformityLevel = conformityLevel;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.moreFollows = !!moreFollows;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.nextObjectId = nextObjectId;
+
+  /**
+   * @private
+   * @type {Array.<{id: number, value: Buffer}>}
+   */
+  this.objects = objects;
+}
+
+util.inherits(ReadDeviceIdentificationResponse, Response);
+
+/**
+ * @param {number} meiType
+ * @throws {Error} If the specified MEI type is not 0x0E.
+ */
+ReadDeviceIdentificationResponse.assertMeiType = function(meiType)
+{
+  if (meiType !== 0x0E)
+  {
+    throw new Error(util.format(
+      "Expected the MEI type to be 0x0E, got: %d",
+      meiType
+    ));
+  }
+};
+
+/**
+ * Creates a new response from the specified `options`.
+ *
+ * Available options for this response are:
+ *
+ *   - `readCode` (number, required) -
+ *     A Read Device ID code of the request.
+ *
+ *   - `conformityLevel` (number, required) -
+ *     A conformity level of the device.
+ *
+ *   - `moreFollows` (boolean, optional) -
+ *     Whether more objects must be requested. Defaults to `false`.
+ *
+ *   - `nextObjectId` (number, optional) -
+ *     An ID of the next object to request. Defaults to 0.
+ *
+ *   - `objects` (array, required) -
+ *     Objects with the `id` (number) and `value` (Buffer) properties.
+ *
+ * @param {object} options An options object.
+ * @param {number} options.readCode
+ * @param {number} options.conformityLevel
+ * @param {boolean} [options.moreFollows]
+ * @param {number} [options.nextObjectId]
+ * @param {Array.<{id: number, value: Buffer}>} options.objects
+ * @returns {ReadDeviceIdentificationResponse} A response created from
+ * the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+ReadDeviceIdentificationResponse.fromOptions = function(options)
+{
+  return new ReadDeviceIdentificationResponse(
+    options.readCode,
+    options.conformityLevel,
+    options.moreFollows,
+    options.nextObjectId || 0,
+    options.objects
+  );
+};
+
+/**
+ * Creates a new response from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this response.
+ * @returns {ReadDeviceIdentificationResponse} A response created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this response.
+ */
+ReadDeviceIdentificationResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 7);
+  util.assertFunctionCode(buffer[0], 0x2B);
+  ReadDeviceIdentificationResponse.assertMeiType(buffer[1]);
+
+  var objectCount = buffer[6];
+  var objects = [];
+  var offset = 7;
+
+  for (var i = 0; i < objectCount; ++i)
+  {
+    util.assertBufferLength(buffer, offset + 2);
+
+    var length = buffer[offset + 1];
+
+    util.assertBufferLength(buffer, offset + 2 + length);
+
+    objects.push({
+      id: buffer[offset],
+      value: buffer.slice(offset + 2, offset + 2 + length)
+    });
+
+    offset += 2 + length;
+  }
+
+  return new ReadDeviceIdentificationResponse(
+    buffer[2],
+    buffer[3],
+    buffer[4] === 0xFF,
+    buffer[5],
+    objects
+  );
+};
+
+/**
+ * Returns a binary representation of this response.
+ *
+ * @returns {Buffer} A binary representation of this response.
+ */
+ReadDeviceIdentificationResponse.prototype.toBuffer = function()
+{
+  var builder = new buffers.BufferBuilder();
+
+  builder
+    .pushByte(0x2B)
+    .pushByte(0x0E)
+    .pushByte(this.readCode)
+    .pushByte(this.conformityLevel)
+    .pushByte(this.moreFollows ? 0xFF : 0x00)
+    .pushByte(this.nextObjectId)
+    .pushByte(this.objects.length);
+
+  this.objects.forEach(function(object)
+  {
+    builder
+      .pushByte(object.id)
+      .pushByte(object.value.length)
+      .pushBuffer(object.value);
+  });
+
+  return builder.toBuffer();
+};
+
+/**
+ * Returns a string representation of this response.
+ *
+ * @returns {string} A string representation of this response.
+ */
+ReadDeviceIdentificationResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x2B (RES) %d device identification objects%s:",
+    this.objects.length,
+    this.moreFollows ? ' (more follows from ' + this.nextObjectId + ')' : '',
+    this.getNamedObjects()
+  );
+};
+
+/**
+ * @returns {number} A Read Device ID code.
+ */
+ReadDeviceIdentificationResponse.prototype.getReadCode = function()
+{
+  return this.readCode;
+};
+
+/**
+ * @returns {number} A conformity level of the device.
+ */
+ReadDeviceIdentificationResponse.prototype.getConformityLevel = function()
+{
+  return this.conformityLevel;
+};
+
+/**
+ * @returns {boolean} Whether more objects must be requested starting from
+ * the next object ID.
+ */
+ReadDeviceIdentificationResponse.prototype.isMoreFollows = function()
+{
+  return this.moreFollows;
+};
+
+/**
+ * @returns {number} An ID of the next object to request.
+ */
+ReadDeviceIdentificationResponse.prototype.getNextObjectId = function()
+{
+  return this.nextObjectId;
+};
+
+/**
+ * @returns {Array.<{id: number, value: Buffer}>} The objects.
+ */
+ReadDeviceIdentificationResponse.prototype.getObjects = function()
+{
+  return this.objects;
+};
+
+/**
+ * Returns the objects by name. The basic and regular objects are named
+ * after `ReadDeviceIdentificationResponse.OBJECT_NAMES` and decoded as
+ * strings. The extended (device specific) objects are keyed by their IDs
+ * and left as buffers.
+ *
+ * @returns {object.<string, (string|Buffer)>}
+ */
+ReadDeviceIdentificationResponse.prototype.getNamedObjects = function()
+{
+  var namedObjects = {};
+
+  this.objects.forEach(function(object)
+  {
+    var name = ReadDeviceIdentificationResponse.OBJECT_NAMES[object.id];
+
+    if (typeof name === 'undefined')
+    {
+      namedObjects[object.id] = object.value;
+    }
+    else
+    {
+      namedObjects[name] = object.value.toString();
+    }
+  });
+
+  return namedObjects;
+};
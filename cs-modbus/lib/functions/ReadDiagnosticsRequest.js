@@ -1,49 +1,93 @@
-/*global require, module, ReadDiagnosticsRequest, Buffer*/
+'use strict';
 
+var buffers = require('h5.buffers');
 var util = require('./util');
 var Request = require('./Request');
-//var ReadHoldingRegistersResponse = require('./ReadHoldingRegistersResponse');
 var ReadDiagnosticsResponse = require('./ReadDiagnosticsResponse');
 
 module.exports = ReadDiagnosticsRequest;
 
 /**
- * The read diagnostics request (code 0x08).
+ * Codes of the sub-functions that change the state of the slave
+ * and are not answered when broadcast.
  *
- * A binary representation of this request is 5 bytes long and consists of:
+ * @private
+ * @const
+ * @type {Array.<number>}
+ */
+var BROADCAST_SUB_FUNCTIONS = [0x01, 0x04, 0x0A];
+
+/**
+ * Codes of the supported sub-functions by their names.
+ *
+ * @const
+ * @type {object.<string, number>}
+ */
+ReadDiagnosticsRequest.SUB_FUNCTIONS = {
+  returnQueryData: 0x00,
+  restartCommunications: 0x01,
+  forceListenOnly: 0x04,
+  clearCounters: 0x0A,
+  busMessageCount: 0x0B,
+  busCommunicationErrorCount: 0x0C,
+  busExceptionErrorCount: 0x0D,
+  slaveMessageCount: 0x0E,
+  slaveNoResponseCount: 0x0F,
+  slaveNakCount: 0x10,
+  slaveBusyCount: 0x11,
+  busCharacterOverrunCount: 0x12
+};
+
+/**
+ * The diagnostics request (code 0x08).
+ *
+ * A binary representation of this request varies in length and consists of:
  *
  *   - a function code (1 byte),
- *   - a starting address (2 bytes),
- *   - a quantity of registers (2 bytes).
+ *   - a sub-function code (2 bytes),
+ *   - data (`N` bytes; 2 bytes for all sub-functions except the return
+ *     query data, which accepts any even number of bytes).
+ *
+ * The slave answers with the same sub-function code and: the echoed data
+ * (0x00), the echoed data word (0x01, 0x0A), a counter value (0x0B-0x12)
+ * or not at all (0x04).
  *
  * @constructor
  * @extends {Request}
- * @param {number} address A starting address. Must be between 0 and 0xFFFF.
- * @param {number} quantity A quantity of registers. Must be between 1 and 125.
- * @throws {Error} If the `address` is not a number between 0 and 0xFFFF.
- * @throws {Error} If the `quantity` is not a number between 1 and 125.
+ * @param {number|string} subFunction A sub-function code (a number between
+ * 0 and 0xFFFF) or one of the `ReadDiagnosticsRequest.SUB_FUNCTIONS` names.
+ * @param {Buffer|number} [data] Data of the sub-function: a buffer of even
+ * length between 2 and 250, or a single 16-bit word. Defaults to 0x0000.
+ * @throws {Error} If the `subFunction` is not a number between 0 and 0xFFFF
+ * or a name of a sub-function.
+ * @throws {Error} If the `data` is not valid.
  */
-
-function ReadDiagnosticsRequest(value) {
-    "use strict";
-    Request.call(this, 0x08);
-
-    /**
-     * A starting address. A number between 0 and 0xFFFF. <-- this is old
-     * The particular diagnostic command to run
-     *
-     * @private
-     * @type {number}
-     */
-    this.address = util.prepareAddress(value);
-
-    /**
-     * This is always zero
-     *
-     * @private
-     * @type {number}
-     */
-    this.quantity = util.prepareAddress(0);
+function ReadDiagnosticsRequest(subFunction, data)
+{
+  Request.call(this, 0x08);
+
+  if (ReadDiagnosticsRequest.SUB_FUNCTIONS.hasOwnProperty(subFunction))
+  {
+    subFunction = ReadDiagnosticsRequest.SUB_FUNCTIONS[subFunction];
+  }
+
+  /**
+   * A sub-function code. A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.subFunction = util.prepareNumericOption(
+    subFunction, 0, 0, 0xFFFF, 'Sub-function'
+  );
+
+  /**
+   * Data of the sub-function. A buffer of even length between 2 and 250.
+   *
+   * @private
+   * @type {Buffer}
+   */
+  this.data = ReadDiagnosticsResponse.prepareData(data);
 }
 
 util.inherits(ReadDiagnosticsRequest, Request);
@@ -53,44 +97,45 @@ util.inherits(ReadDiagnosticsRequest, Request);
  *
  * Available options for this request are:
  *
- *   - `address` (number, optional) -
- *     A starting address. If specified, must be a number between 0 and 0xFFFF.
- *     Defaults to 0.
+ *   - `subFunction` (number|string, optional) -
+ *     A sub-function code (a number between 0 and 0xFFFF) or one of
+ *     the `ReadDiagnosticsRequest.SUB_FUNCTIONS` names. Defaults to 0.
  *
- *   - `quantity` (number, optional) -
- *     A quantity of registers. If specified, must be a number
- *     between 1 and 125. Defaults to 1.
+ *   - `data` (Buffer|number, optional) -
+ *     Data of the sub-function: a buffer of even length between 2 and 250,
+ *     or a single 16-bit word. Defaults to 0x0000.
  *
  * @param {object} options An options object.
- * @param {number} [options.address]
- * @param {number} [options.quantity]
- * @returns {ReadHoldingRegistersRequest} A request created
+ * @param {number|string} [options.subFunction]
+ * @param {Buffer|number} [options.data]
+ * @returns {ReadDiagnosticsRequest} A request created
  * from the specified `options`.
  * @throws {Error} If any of the specified options are not valid.
  */
-ReadDiagnosticsRequest.fromOptions = function (options) {
-    "use strict";
-    return new ReadDiagnosticsRequest(options.value);
+ReadDiagnosticsRequest.fromOptions = function(options)
+{
+  return new ReadDiagnosticsRequest(options.subFunction, options.data);
 };
 
 /**
  * Creates a new request from its binary representation.
  *
  * @param {Buffer} buffer A binary representation of this request.
- * @returns {ReadHoldingRegistersRequest} A request created
+ * @returns {ReadDiagnosticsRequest} A request created
  * from its binary representation.
  * @throws {Error} If the specified buffer is not a valid binary representation
  * of this request.
  */
-ReadDiagnosticsRequest.fromBuffer = function (buffer) {
-    "use strict";
-    util.assertBufferLength(buffer, 5);
-    util.assertFunctionCode(buffer[0], 0x08);
-
-    return new ReadDiagnosticsRequest(
-        buffer.readUInt16BE(1, true),
-        buffer.readUInt16BE(3, true)
-    );
+ReadDiagnosticsRequest.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 5);
+  util.assertFunctionCode(buffer[0], 0x08);
+
+  var data = new Buffer(buffer.length - 3);
+
+  buffer.copy(data, 0, 3);
+
+  return new ReadDiagnosticsRequest(buffer.readUInt16BE(1, true), data);
 };
 
 /**
@@ -98,15 +143,13 @@ ReadDiagnosticsRequest.fromBuffer = function (buffer) {
  *
  * @returns {Buffer} A binary representation of this request.
  */
-ReadDiagnosticsRequest.prototype.toBuffer = function () {
-    "use strict";
-    var buffer = new Buffer(5);
-
-    buffer[0] = 0x08;
-    buffer.writeUInt16BE(this.address, 1, true);
-    buffer.writeUInt16BE(this.quantity, 3, true);
-
-    return buffer;
+ReadDiagnosticsRequest.prototype.toBuffer = function()
+{
+  return new buffers.BufferBuilder()
+    .pushByte(0x08)
+    .pushUInt16(this.subFunction)
+    .pushBuffer(this.data)
+    .toBuffer();
 };
 
 /**
@@ -114,12 +157,14 @@ ReadDiagnosticsRequest.prototype.toBuffer = function () {
  *
  * @returns {string} A string representation of this request.
  */
-ReadDiagnosticsRequest.prototype.toString = function () {
-    "use strict";
-    return util.format(
-        "0x08 (REQ) Diagnostics at %d",
-        this.value
-    );
+ReadDiagnosticsRequest.prototype.toString = function()
+{
+  return util.format(
+    "0x08 (REQ) Diagnostics sub-function %d (%s) with data:",
+    this.subFunction,
+    ReadDiagnosticsResponse.SUB_FUNCTION_NAMES[this.subFunction] || 'unknown',
+    this.data
+  );
 };
 
 /**
@@ -127,18 +172,35 @@ ReadDiagnosticsRequest.prototype.toString = function () {
  * @returns {Response}
  * @throws {Error}
  */
-ReadDiagnosticsRequest.prototype.createResponse = function (responseBuffer) {
-    "use strict";
-    return this.createExceptionOrResponse(
-        responseBuffer,
-        ReadDiagnosticsResponse
-    );
+ReadDiagnosticsRequest.prototype.createResponse = function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    ReadDiagnosticsResponse
+  );
+};
+
+/**
+ * @returns {number} A sub-function code.
+ */
+ReadDiagnosticsRequest.prototype.getSubFunction = function()
+{
+  return this.subFunction;
+};
+
+/**
+ * @returns {Buffer} Data of the sub-function.
+ */
+ReadDiagnosticsRequest.prototype.getData = function()
+{
+  return this.data;
 };
 
 /**
- * @returns {number} A starting address.
+ * @returns {boolean} Whether the sub-function can be broadcast
+ * (the restart communications, force listen only and clear counters).
  */
-ReadDiagnosticsRequest.prototype.getValue = function () {
-    "use strict";
-    return this.value;
-};
\ No newline at end of file
+ReadDiagnosticsRequest.prototype.isBroadcastable = function()
+{
+  return BROADCAST_SUB_FUNCTIONS.indexOf(this.subFunction) !== -1;
+};
@@ -1,100 +1,149 @@
-/*global require, module, ReadDiagnosticsResponse, Buffer*/
+'use strict';
 
+var buffers = require('h5.buffers');
 var util = require('./util');
 var Response = require('./Response');
 
 module.exports = ReadDiagnosticsResponse;
 
 /**
- * The write single register response (code 0x08).
+ * Descriptions of the supported sub-functions by their codes.
  *
- * A binary representation of this response is 5 bytes long and consists of:
+ * @const
+ * @type {object.<number, string>}
+ */
+ReadDiagnosticsResponse.SUB_FUNCTION_NAMES = {
+  0x00: 'Return query data',
+  0x01: 'Restart communications',
+  0x04: 'Force listen only mode',
+  0x0A: 'Clear counters and diagnostic register',
+  0x0B: 'Bus message count',
+  0x0C: 'Bus communication error count',
+  0x0D: 'Bus exception error count',
+  0x0E: 'Slave message count',
+  0x0F: 'Slave no response count',
+  0x10: 'Slave NAK count',
+  0x11: 'Slave busy count',
+  0x12: 'Bus character overrun count'
+};
+
+/**
+ * The diagnostics response (code 0x08).
+ *
+ * A binary representation of this response varies in length and consists of:
  *
  *   - a function code (1 byte),
- *   - an output address (2 bytes),
- *   - a register value (2 bytes).
+ *   - a sub-function code (2 bytes),
+ *   - data (`N` bytes; 2 bytes for all sub-functions except the return
+ *     query data, which echoes the data of the request).
  *
  * @constructor
  * @extends {Response}
- * @param {number} address An address of the register.
- * Must be between 0x0000 and 0xFFFF.
- * @param {number} value A value of the register. Must be between 0 and 65535.
- * @throws {Error} If the `address` is not a number between 0x0000 and 0xFFFF.
- * @throws {Error} If the `value` is not a number between 0 and 65535.
+ * @param {number} subFunction A sub-function code.
+ * Must be between 0 and 0xFFFF.
+ * @param {Buffer|number} [data] Data of the sub-function: a buffer of even
+ * length between 2 and 250, or a single 16-bit word. Defaults to 0x0000.
+ * @throws {Error} If the `subFunction` is not a number between 0 and 0xFFFF.
+ * @throws {Error} If the `data` is not valid.
  */
-//function WriteSingleRegisterResponse(address, value)
-function ReadDiagnosticsResponse(value) {
-    "use strict";
-    Response.call(this, 0x08);
+function ReadDiagnosticsResponse(subFunction, data)
+{
+  Response.call(this, 0x08);
 
   /**
-   * An address of the register. A number between 0x0000 and 0xFFFF.
+   * A sub-function code. A number between 0 and 0xFFFF.
    *
    * @private
    * @type {number}
    */
-//  this.address = util.prepareAddress(address);
-    this.address = util.prepareAddress(value);
+  this.subFunction = util.prepareNumericOption(
+    subFunction, 0, 0, 0xFFFF, 'Sub-function'
+  );
 
   /**
-   * A value of the register. A number between 0 and 65535.
+   * Data of the sub-function. A buffer of even length between 2 and 250.
    *
    * @private
-   * @type {number}
+   * @type {Buffer}
    */
-//  this.value = util.prepareRegisterValue(value);
-    this.value = util.prepareRegisterValue(0);
+  this.data = ReadDiagnosticsResponse.prepareData(data);
 }
 
-//util.inherits(WriteSingleRegisterResponse, Response);
 util.inherits(ReadDiagnosticsResponse, Response);
 
+/**
+ * @param {Buffer|number} [data] A buffer of even length between 2 and 250,
+ * or a single 16-bit word. Defaults to 0x0000.
+ * @returns {Buffer}
+ * @throws {Error} If the `data` is not valid.
+ */
+ReadDiagnosticsResponse.prepareData = function(data)
+{
+  if (!Buffer.isBuffer(data))
+  {
+    var word = new Buffer(2);
+
+    word.writeUInt16BE(util.prepareRegisterValue(data), 0, true);
+
+    return word;
+  }
+
+  if (data.length % 2 !== 0 || data.length < 2 || data.length > 250)
+  {
+    throw new Error(util.format(
+      "The length of the `data` buffer must be an even number "
+        + "between 2 and 250, got: %d",
+      data.length
+    ));
+  }
+
+  return data;
+};
+
 /**
  * Creates a new response from the specified `options`.
  *
- * Available options for this request are:
+ * Available options for this response are:
  *
- *   - `address` (number, optional) -
- *     An address of the register.
- *     If specified, must be a number between 0 and 0xFFFF.
- *     Defaults to 0.
+ *   - `subFunction` (number, optional) -
+ *     A sub-function code. If specified, must be a number
+ *     between 0 and 0xFFFF. Defaults to 0.
  *
- *   - `value` (number, optional) -
- *     A value of the register.
- *     If specified, must be between 0 and 65535.
- *     Defaults to 0.
+ *   - `data` (Buffer|number, optional) -
+ *     Data of the sub-function: a buffer of even length between 2 and 250,
+ *     or a single 16-bit word. Defaults to 0x0000.
  *
  * @param {object} options An options object.
- * @param {number} [options.address]
- * @param {number} [options.value]
- * @returns {WriteSingleRegisterResponse} A response created from
+ * @param {number} [options.subFunction]
+ * @param {Buffer|number} [options.data]
+ * @returns {ReadDiagnosticsResponse} A response created from
  * the specified `options`.
  * @throws {Error} If any of the specified options are not valid.
  */
-//WriteSingleRegisterResponse.fromOptions = function(options)
-ReadDiagnosticsResponse.fromOptions = function (options) {
-    "use strict";
-    return new ReadDiagnosticsResponse(options.value);
+ReadDiagnosticsResponse.fromOptions = function(options)
+{
+  return new ReadDiagnosticsResponse(options.subFunction, options.data);
 };
 
 /**
  * Creates a new response from its binary representation.
  *
  * @param {Buffer} buffer A binary representation of this response.
- * @returns {WriteSingleRegisterResponse} A response created
+ * @returns {ReadDiagnosticsResponse} A response created
  * from its binary representation.
  * @throws {Error} If the specified buffer is not a valid binary representation
  * of this response.
  */
-ReadDiagnosticsResponse.fromBuffer = function (buffer) {
-    "use strict";
-    util.assertBufferLength(buffer, 5);
-    util.assertFunctionCode(buffer[0], 0x08);
+ReadDiagnosticsResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 5);
+  util.assertFunctionCode(buffer[0], 0x08);
 
-    var address = buffer.readUInt16BE(1, true),
-        value = buffer.readUInt16BE(3, true);
+  var data = new Buffer(buffer.length - 3);
 
-    return new ReadDiagnosticsResponse(address, value);
+  buffer.copy(data, 0, 3);
+
+  return new ReadDiagnosticsResponse(buffer.readUInt16BE(1, true), data);
 };
 
 /**
@@ -102,15 +151,13 @@ ReadDiagnosticsResponse.fromBuffer = function (buffer) {
  *
  * @returns {Buffer} A binary representation of this response.
  */
-ReadDiagnosticsResponse.prototype.toBuffer = function () {
-    "use strict";
-    var buffer = new Buffer(5);
-
-    buffer[0] = 0x08;
-    buffer.writeUInt16BE(this.address, 1, true);
-    buffer.writeUInt16BE(this.value, 3, true);
-
-    return buffer;
+ReadDiagnosticsResponse.prototype.toBuffer = function()
+{
+  return new buffers.BufferBuilder()
+    .pushByte(0x08)
+    .pushUInt16(this.subFunction)
+    .pushBuffer(this.data)
+    .toBuffer();
 };
 
 /**
@@ -118,18 +165,71 @@ ReadDiagnosticsResponse.prototype.toBuffer = function () {
  *
  * @returns {string} A string representation of this response.
  */
-ReadDiagnosticsResponse.prototype.toString = function () {
-    "use strict";
+ReadDiagnosticsResponse.prototype.toString = function()
+{
+  if (this.isCounter())
+  {
     return util.format(
-        "0x08 (RES) Diaganostics at %d",
-        this.value
+      "0x08 (RES) %s: %d",
+      ReadDiagnosticsResponse.SUB_FUNCTION_NAMES[this.subFunction],
+      this.getValue()
     );
+  }
+
+  return util.format(
+    "0x08 (RES) Diagnostics sub-function %d (%s) data:",
+    this.subFunction,
+    ReadDiagnosticsResponse.SUB_FUNCTION_NAMES[this.subFunction] || 'unknown',
+    this.data
+  );
 };
 
 /**
- * @returns {number} A value of the register.
+ * @returns {number} A sub-function code.
  */
-ReadDiagnosticsResponse.prototype.getValue = function () {
-    "use strict";
-    return this.value;
-};
\ No newline at end of file
+ReadDiagnosticsResponse.prototype.getSubFunction = function()
+{
+  return this.subFunction;
+};
+
+/**
+ * @returns {Buffer} Data of the sub-function.
+ */
+ReadDiagnosticsResponse.prototype.getData = function()
+{
+  return this.data;
+};
+
+/**
+ * @returns {number} The first 16-bit word of the data.
+ */
+ReadDiagnosticsResponse.prototype.getValue = function()
+{
+  return this.data.readUInt16BE(0, true);
+};
+
+/**
+ * @returns {boolean} Whether this is a response to one of the bus or slave
+ * counter sub-functions (0x0B to 0x12).
+ */
+ReadDiagnosticsResponse.prototype.isCounter = function()
+{
+  return this.subFunction >= 0x0B && this.subFunction <= 0x12;
+};
+
+/**
+ * @returns {number} A value of the counter returned by one of the counter
+ * sub-functions (0x0B to 0x12).
+ * @throws {Error} If this is not a response to a counter sub-function.
+ */
+ReadDiagnosticsResponse.prototype.getCount = function()
+{
+  if (!this.isCounter())
+  {
+    throw new Error(util.format(
+      "Sub-function %d does not return a counter.", this.subFunction
+    ));
+  }
+
+  return this.getValue();
+};
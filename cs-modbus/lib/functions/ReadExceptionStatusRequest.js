@@ -0,0 +1,90 @@
+'use strict';
+
+var util = require('./util');
+var Request = require('./Request');
+var ReadExceptionStatusResponse = require('./ReadExceptionStatusResponse');
+
+module.exports = ReadExceptionStatusRequest;
+
+/**
+ * The read exception status request (code 0x07).
+ *
+ * A binary representation of this request is 1 byte long and consists of:
+ *
+ *   - a function code (1 byte).
+ *
+ * @constructor
+ * @extends {Request}
+ */
+function ReadExceptionStatusRequest()
+{
+  Request.call(this, 0x07);
+}
+
+util.inherits(ReadExceptionStatusRequest, Request);
+
+/**
+ * Creates a new request from the specified `options`.
+ *
+ * This request has no options.
+ *
+ * @param {object} options An options object.
+ * @returns {ReadExceptionStatusRequest} A request created
+ * from the specified `options`.
+ */
+ReadExceptionStatusRequest.fromOptions = function(options)
+{
+  /*jshint unused:false*/
+
+  return new ReadExceptionStatusRequest();
+};
+
+/**
+ * Creates a new request from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this request.
+ * @returns {ReadExceptionStatusRequest} A request created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this request.
+ */
+ReadExceptionStatusRequest.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 1);
+  util.assertFunctionCode(buffer[0], 0x07);
+
+  return new ReadExceptionStatusRequest();
+};
+
+/**
+ * Returns a binary representation of this request.
+ *
+ * @returns {Buffer} A binary representation of this request.
+ */
+ReadExceptionStatusRequest.prototype.toBuffer = function()
+{
+  return new Buffer([0x07]);
+};
+
+/**
+ * Returns a string representation of this request.
+ *
+ * @returns {string} A string representation of this request.
+ */
+ReadExceptionStatusRequest.prototype.toString = function()
+{
+  return "0x07 (REQ) Read exception status";
+};
+
+/**
+ * @param {Buffer} responseBuffer
+ * @returns {Response}
+ * @throws {Error}
+ */
+ReadExceptionStatusRequest.prototype.createResponse = function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    ReadExceptionStatusResponse
+  );
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+var util = require('./util');
+var Response = require('./Response');
+
+module.exports = ReadExceptionStatusResponse;
+
+/**
+ * The read exception status response (code 0x07).
+ *
+ * A binary representation of this response is 2 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - an output data (1 byte; eight device specific exception status bits).
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {number} status The exception status bits.
+ * Must be between 0 and 255.
+ * @throws {Error} If the `status` is not a number between 0 and 255.
+ */
+function ReadExceptionStatusResponse(status)
+{
+  Response.call(this, 0x07);
+
+  /**
+   * The exception status bits. A number between 0 and 255.
+   *
+   * @private
+   * @type {number}
+   */
+  this.status = util.prepareNumericOption(status, 0, 0, 255, 'Status');
+}
+
+util.inherits(ReadExceptionStatusResponse, Response);
+
+/**
+ * Creates a new response from the specified `options`.
+ *
+ * Available options for this response are:
+ *
+ *   - `status` (number, optional) -
+ *     The exception status bits. If specified, must be a number
+ *     between 0 and 255. Defaults to 0.
+ *
+ * @param {object} options An options object.
+ * @param {number} [options.status]
+ * @returns {ReadExceptionStatusResponse} A response created from
+ * the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+ReadExceptionStatusResponse.fromOptions = function(options)
+{
+  return new ReadExceptionStatusResponse(options.status);
+};
+
+/**
+ * Creates a new response from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this response.
+ * @returns {ReadExceptionStatusResponse} A response created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this response.
+ */
+ReadExceptionStatusResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 2);
+  util.assertFunctionCode(buffer[0], 0x07);
+
+  return new ReadExceptionStatusResponse(buffer[1]);
+};
+
+/**
+ * Returns a binary representation of this response.
+ *
+ * @returns {Buffer} A binary representation of this response.
+ */
+ReadExceptionStatusResponse.prototype.toBuffer = function()
+{
+  return new Buffer([0x07, this.status]);
+};
+
+/**
+ * Returns a string representation of this response.
+ *
+ * @returns {string} A string representation of this response.
+ */
+ReadExceptionStatusResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x07 (RES) Exception status: 0x%s",
+    (this.status < 0x10 ? '0' : '') + this.status.toString(16)
+  );
+};
+
+/**
+ * @returns {number} The exception status bits.
+ */
+ReadExceptionStatusResponse.prototype.getStatus = function()
+{
+  return this.status;
+};
+
+/**
+ * @param {number} bit A number of the bit, from 0 (the least significant)
+ * to 7.
+ * @returns {boolean} Whether the specified bit is set.
+ */
+ReadExceptionStatusResponse.prototype.isSet = function(bit)
+{
+  return (this.status & (1 << bit)) !== 0;
+};
+
+/**
+ * @returns {Array.<boolean>} States of the eight exception status bits,
+ * from the least significant one.
+ */
+ReadExceptionStatusResponse.prototype.getStates = function()
+{
+  var states = [];
+
+  for (var bit = 0; bit < 8; ++bit)
+  {
+    states.push(this.isSet(bit));
+  }
+
+  return states;
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+var util = require('./util');
+var Request = require('./Request');
+var ReadFifoQueueResponse = require('./ReadFifoQueueResponse');
+
+module.exports = ReadFifoQueueRequest;
+
+/**
+ * The read FIFO queue request (code 0x18).
+ *
+ * Reads the contents of a first-in-first-out queue of registers:
+ * the count register at the specified address and up to 31 queued registers
+ * that follow it. The queue is not cleared by the read.
+ *
+ * A binary representation of this request is 3 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a FIFO pointer address (2 bytes).
+ *
+ * @constructor
+ * @extends {Request}
+ * @param {number} address An address of the FIFO count register.
+ * Must be between 0 and 0xFFFF.
+ * @throws {Error} If the `address` is not a number between 0 and 0xFFFF.
+ */
+function ReadFifoQueueRequest(address)
+{
+  Request.call(this, 0x18);
+
+  /**
+   * An address of the FIFO count register. A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.address = util.prepareAddress(address);
+}
+
+util.inherits(ReadFifoQueueRequest, Request);
+
+/**
+ * Creates a new request from the specified `options`.
+ *
+ * Available options for this request are:
+ *
+ *   - `address` (number, optional) -
+ *     An address of the FIFO count register. If specified, must be a number
+ *     between 0 and 0xFFFF. Defaults to 0.
+ *
+ * @param {object} options An options object.
+ * @param {number} [options.address]
+ * @returns {ReadFifoQueueRequest} A request created
+ * from the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+ReadFifoQueueRequest.fromOptions = function(options)
+{
+  return new ReadFifoQueueRequest(options.address);
+};
+
+/**
+ * Creates a new request from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this request.
+ * @returns {ReadFifoQueueRequest} A request created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this request.
+ */
+ReadFifoQueueRequest.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 3);
+  util.assertFunctionCode(buffer[0], 0x18);
+
+  return new ReadFifoQueueRequest(buffer.readUInt16BE(1, true));
+};
+
+/**
+ * Returns a binary representation of this request.
+ *
+ * @returns {Buffer} A binary representation of this request.
+ */
+ReadFifoQueueRequest.prototype.toBuffer = function()
+{
+  var buffer = new Buffer(3);
+
+  buffer[0] = 0x18;
+  buffer.writeUInt16BE(this.address, 1, true);
+
+  return buffer;
+};
+
+/**
+ * Returns a string representation of this request.
+ *
+ * @returns {string} A string representation of this request.
+ */
+ReadFifoQueueRequest.prototype.toString = function()
+{
+  return util.format(
+    "0x18 (REQ) Read the FIFO queue at address %d",
+    this.address
+  );
+};
+
+/**
+ * @param {Buffer} responseBuffer
+ * @returns {Response}
+ * @throws {Error}
+ */
+ReadFifoQueueRequest.prototype.createResponse = function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    ReadFifoQueueResponse
+  );
+};
+
+/**
+ * @returns {number} An address of the FIFO count register.
+ */
+ReadFifoQueueRequest.prototype.getAddress = function()
+{
+  return this.address;
+};
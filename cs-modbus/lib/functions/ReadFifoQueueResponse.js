@@ -0,0 +1,141 @@
+'use strict';
+
+var buffers = require('h5.buffers');
+var util = require('./util');
+var Response = require('./Response');
+var registerAccessors = require('./registerAccessors');
+
+module.exports = ReadFifoQueueResponse;
+
+/**
+ * The read FIFO queue response (code 0x18).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a byte count (`2 + N * 2`; 2 bytes),
+ *   - a FIFO count (`N`; 2 bytes),
+ *   - values of the queued registers (`N * 2` bytes).
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {Buffer} values Values of the queued registers.
+ * A buffer of even length between 0 and 62.
+ * @throws {Error} If the length of the `values` buffer is not an even number
+ * between 0 and 62.
+ */
+function ReadFifoQueueResponse(values)
+{
+  Response.call(this, 0x18);
+
+  if (values.length % 2 !== 0 || values.length > 62)
+  {
+    throw new Error(util.format(
+      "The length of the `values` buffer must be an even number "
+        + "between 0 and 62, got: %d",
+      values.length
+    ));
+  }
+
+  /**
+   * Values of the queued registers. A buffer of even length between 0 and 62.
+   *
+   * @private
+   * @type {Buffer}
+   */
+  this.values = values;
+}
+
+util.inherits(ReadFifoQueueResponse, Response);
+
+registerAccessors.applyTo(ReadFifoQueueResponse.prototype);
+
+/**
+ * Creates a new response from the specified `options`.
+ *
+ * Available options for this response are:
+ *
+ *   - `values` (Buffer, optional) -
+ *     Values of the queued registers. If specified, must be a buffer
+ *     of even length between 0 and 62. Defaults to an empty buffer.
+ *
+ * @param {object} options An options object.
+ * @param {Buffer} [options.values]
+ * @returns {ReadFifoQueueResponse} A response created from
+ * the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+ReadFifoQueueResponse.fromOptions = function(options)
+{
+  return new ReadFifoQueueResponse(options.values || new Buffer(0));
+};
+
+/**
+ * Creates a new response from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this response.
+ * @returns {ReadFifoQueueResponse} A response created
+ * from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this response.
+ */
+ReadFifoQueueResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 5);
+  util.assertFunctionCode(buffer[0], 0x18);
+
+  var count = buffer.readUInt16BE(3, true);
+
+  util.assertBufferLength(buffer, 5 + count * 2);
+
+  var values = new Buffer(count * 2);
+
+  buffer.copy(values, 0, 5, 5 + count * 2);
+
+  return new ReadFifoQueueResponse(values);
+};
+
+/**
+ * Returns a binary representation of this response.
+ *
+ * @returns {Buffer} A binary representation of this response.
+ */
+ReadFifoQueueResponse.prototype.toBuffer = function()
+{
+  return new buffers.BufferBuilder()
+    .pushByte(0x18)
+    .pushUInt16(2 + this.values.length)
+    .pushUInt16(this.values.length / 2)
+    .pushBuffer(this.values)
+    .toBuffer();
+};
+
+/**
+ * Returns a string representation of this response.
+ *
+ * @returns {string} A string representation of this response.
+ */
+ReadFifoQueueResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x18 (RES) %d queued registers:",
+    this.values.length / 2,
+    this.values
+  );
+};
+
+/**
+ * @returns {number} A number of the queued registers.
+ */
+ReadFifoQueueResponse.prototype.getCount = function()
+{
+  return this.values.length / 2;
+};
+
+/**
+ * @returns {Buffer} Values of the queued registers.
+ */
+ReadFifoQueueResponse.prototype.getValues = function()
+{
+  return this.values;
+};
@@ -3,6 +3,7 @@
 var buffers = require('h5.buffers');
 var util = require('./util');
 var Response = require('./Response');
+var registerAccessors = require('./registerAccessors');
 
 module.exports = ReadHoldingRegistersResponse;
 
@@ -46,6 +47,8 @@ function ReadHoldingRegistersResponse(values)
 
 util.inherits(ReadHoldingRegistersResponse, Response);
 
+registerAccessors.applyTo(ReadHoldingRegistersResponse.prototype);
+
 /**
  * Creates a new response from the specified `options`.
  *
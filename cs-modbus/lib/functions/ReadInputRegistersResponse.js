@@ -3,6 +3,7 @@
 var buffers = require('h5.buffers');
 var util = require('./util');
 var Response = require('./Response');
+var registerAccessors = require('./registerAccessors');
 
 module.exports = ReadInputRegistersResponse;
 
@@ -46,6 +47,8 @@ function ReadInputRegistersResponse(values)
 
 util.inherits(ReadInputRegistersResponse, Response);
 
+registerAccessors.applyTo(ReadInputRegistersResponse.prototype);
+
 /**
  * Creates a new response from the specified `options`.
  *
@@ -0,0 +1,243 @@
+'use strict';
+
+var util = require('./util');
+var Request = require('./Request');
+var ReadWriteMultipleRegistersResponse =
+  require('./ReadWriteMultipleRegistersResponse');
+
+module.exports = ReadWriteMultipleRegistersRequest;
+
+/**
+ * The read/write multiple registers request (code 0x17).
+ *
+ * The write operation is performed before the read operation.
+ *
+ * A binary representation of this request varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a read starting address (2 bytes),
+ *   - a quantity of registers to read (2 bytes),
+ *   - a write starting address (2 bytes),
+ *   - a quantity of registers to write (2 bytes),
+ *   - a byte count (`N`; 1 byte),
+ *   - values of the registers to write (`N` bytes).
+ *
+ * @constructor
+ * @extends {Request}
+ * @param {number} readAddress A read starting address. A number between
+ * 0 and 0xFFFF.
+ * @param {number} readQuantity A quantity of registers to read. A number
+ * between 1 and 125.
+ * @param {number} writeAddress A write starting address. A number between
+ * 0 and 0xFFFF.
+ * @param {Buffer} values Values of the registers to write.
+ * A buffer of even length between 2 and 242.
+ * @throws {Error} If the `readAddress` or the `writeAddress` is not a number
+ * between 0 and 0xFFFF.
+ * @throws {Error} If the `readQuantity` is not a number between 1 and 125.
+ * @throws {Error} If the `values` is not a Buffer of even length
+ * between 2 and 242.
+ */
+function ReadWriteMultipleRegistersRequest(
+  readAddress, readQuantity, writeAddress, values)
+{
+  Request.call(this, 0x17);
+
+  if (values.length % 2 !== 0 || values.length < 2 || values.length > 242)
+  {
+    throw new Error(util.format(
+      "The length of the `values` Buffer must be an even number "
+        + "between 2 and 242, got: %d",
+      values.length
+    ));
+  }
+
+  /**
+   * A read starting address. A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.readAddress = util.prepareAddress(readAddress);
+
+  /**
+   * A quantity of registers to read. A number between 1 and 125.
+   *
+   * @private
+   * @type {number}
+   */
+  this.readQuantity = util.prepareQuantity(readQuantity, 125);
+
+  /**
+   * A write starting address. A number between 0 and 0xFFFF.
+   *
+   * @private
+   * @type {number}
+   */
+  this.writeAddress = util.prepareAddress(writeAddress);
+
+  /**
+   * Values of the registers to write. A buffer of even length
+   * between 2 and 242.
+   *
+   * @private
+   * @type {Buffer}
+   */
+  this.values = values;
+}
+
+util.inherits(ReadWriteMultipleRegistersRequest, Request);
+
+/**
+ * Creates a new request from the specified `options`.
+ *
+ * Available options for this request are:
+ *
+ *   - `readAddress` (number, optional) -
+ *     A read starting address. If specified, must be a number between 0 and
+ *     0xFFFF. Defaults to 0.
+ *
+ *   - `readQuantity` (number, optional) -
+ *     A quantity of registers to read. If specified, must be a number
+ *     between 1 and 125. Defaults to 1.
+ *
+ *   - `writeAddress` (number, optional) -
+ *     A write starting address. If specified, must be a number between 0 and
+ *     0xFFFF. Defaults to 0.
+ *
+ *   - `values` (Buffer, required) -
+ *     Values of the registers to write. Must be a buffer of even length
+ *     between 2 and 242.
+ *
+ * @param {object} options An options object.
+ * @param {number} [options.readAddress]
+ * @param {number} [options.readQuantity]
+ * @param {number} [options.writeAddress]
+ * @param {Buffer} options.values
+ * @returns {ReadWriteMultipleRegistersRequest} A request
+ * created from the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+ReadWriteMultipleRegistersRequest.fromOptions = function(options)
+{
+  return new ReadWriteMultipleRegistersRequest(
+    options.readAddress,
+    options.readQuantity,
+    options.writeAddress,
+    options.values
+  );
+};
+
+/**
+ * Creates a new request from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of this request.
+ * @returns {ReadWriteMultipleRegistersRequest} A request
+ * created from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of this request.
+ */
+ReadWriteMultipleRegistersRequest.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 12);
+  util.assertFunctionCode(buffer[0], 0x17);
+
+  var readAddress = buffer.readUInt16BE(1, true);
+  var readQuantity = buffer.readUInt16BE(3, true);
+  var writeAddress = buffer.readUInt16BE(5, true);
+  var byteCount = buffer[9];
+  var values = new Buffer(byteCount);
+
+  buffer.copy(values, 0, 10, 10 + byteCount);
+
+  return new ReadWriteMultipleRegistersRequest(
+    readAddress,
+    readQuantity,
+    writeAddress,
+    values
+  );
+};
+
+/**
+ * Returns a binary representation of this request.
+ *
+ * @returns {Buffer} A binary representation of this request.
+ */
+ReadWriteMultipleRegistersRequest.prototype.toBuffer = function()
+{
+  var buffer = new Buffer(10 + this.values.length);
+
+  buffer[0] = 0x17;
+  buffer.writeUInt16BE(this.readAddress, 1, true);
+  buffer.writeUInt16BE(this.readQuantity, 3, true);
+  buffer.writeUInt16BE(this.writeAddress, 5, true);
+  buffer.writeUInt16BE(this.values.length / 2, 7, true);
+  buffer[9] = this.values.length;
+  this.values.copy(buffer, 10);
+
+  return buffer;
+};
+
+/**
+ * Returns a string representation of this request.
+ *
+ * @returns {string} A string representation of this request.
+ */
+ReadWriteMultipleRegistersRequest.prototype.toString = function()
+{
+  return util.format(
+    "0x17 (REQ) Read %d registers starting from address %d "
+      + "after setting %d registers starting from address %d to:",
+    this.readQuantity,
+    this.readAddress,
+    this.values.length / 2,
+    this.writeAddress,
+    this.values
+  );
+};
+
+/**
+ * @param {Buffer} responseBuffer
+ * @returns {Response}
+ * @throws {Error}
+ */
+ReadWriteMultipleRegistersRequest.prototype.createResponse =
+  function(responseBuffer)
+{
+  return this.createExceptionOrResponse(
+    responseBuffer,
+    ReadWriteMultipleRegistersResponse
+  );
+};
+
+/**
+ * @returns {number} A read starting address.
+ */
+ReadWriteMultipleRegistersRequest.prototype.getReadAddress = function()
+{
+  return this.readAddress;
+};
+
+/**
+ * @returns {number} A quantity of registers to read.
+ */
+ReadWriteMultipleRegistersRequest.prototype.getReadQuantity = function()
+{
+  return this.readQuantity;
+};
+
+/**
+ * @returns {number} A write starting address.
+ */
+ReadWriteMultipleRegistersRequest.prototype.getWriteAddress = function()
+{
+  return this.writeAddress;
+};
+
+/**
+ * @returns {Buffer} Values of the registers to write.
+ */
+ReadWriteMultipleRegistersRequest.prototype.getValues = function()
+{
+  return this.values;
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+var buffers = require('h5.buffers');
+var util = require('./util');
+var Response = require('./Response');
+var registerAccessors = require('./registerAccessors');
+
+module.exports = ReadWriteMultipleRegistersResponse;
+
+/**
+ * The read/write multiple registers response (code 0x17).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a byte count `N` (1 byte),
+ *   - values of the registers read (`N` bytes).
+ *
+ * @constructor
+ * @extends {Response}
+ * @param {Buffer} values Values of the registers read.
+ * A buffer of even length between 2 and 250.
+ * @throws {Error} If the length of the `values` buffer is not
+ * between 2 and 250.
+ */
+function ReadWriteMultipleRegistersResponse(values)
+{
+  Response.call(this, 0x17);
+
+  if (values.length % 2 !== 0 || values.length < 2 || values.length > 250)
+  {
+    throw new Error(util.format(
+      "The length of the `values` buffer must be an even number "
+        + "between 2 and 250, got: %d",
+      values.length
+    ));
+  }
+
+  /**
+   * Values of the registers read. A buffer of even length between 2 and 250.
+   *
+   * @private
+   * @type {Buffer}
+   */
+  this.values = values;
+}
+
+util.inherits(ReadWriteMultipleRegistersResponse, Response);
+
+registerAccessors.applyTo(ReadWriteMultipleRegistersResponse.prototype);
+
+/**
+ * Creates a new response from the specified `options`.
+ *
+ * Available options for this response are:
+ *
+ *   - `values` (Buffer, required) -
+ *     Values of the registers read. Must be a buffer of even length
+ *     between 2 and 250.
+ *
+ * @param {object} options An options object.
+ * @param {Buffer} options.values
+ * @returns {ReadWriteMultipleRegistersResponse} A response
+ * created from the specified `options`.
+ * @throws {Error} If any of the specified options are not valid.
+ */
+ReadWriteMultipleRegistersResponse.fromOptions = function(options)
+{
+  return new ReadWriteMultipleRegistersResponse(options.values);
+};
+
+/**
+ * Creates a new response from its binary representation.
+ *
+ * @param {Buffer} buffer A binary representation of the response.
+ * @returns {ReadWriteMultipleRegistersResponse} A response
+ * created from its binary representation.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of the read/write multiple registers response.
+ */
+ReadWriteMultipleRegistersResponse.fromBuffer = function(buffer)
+{
+  util.assertBufferLength(buffer, 4);
+  util.assertFunctionCode(buffer[0], 0x17);
+
+  var byteCount = buffer[1];
+  var values = new Buffer(byteCount);
+
+  buffer.copy(values, 0, 2, byteCount + 2);
+
+  return new ReadWriteMultipleRegistersResponse(values);
+};
+
+/**
+ * Returns a binary representation of this response.
+ *
+ * @returns {Buffer} A binary representation of this response.
+ */
+ReadWriteMultipleRegistersResponse.prototype.toBuffer = function()
+{
+  return new buffers.BufferBuilder()
+    .pushByte(0x17)
+    .pushByte(this.values.length)
+    .pushBuffer(this.values)
+    .toBuffer();
+};
+
+/**
+ * Returns a string representation of this response.
+ *
+ * @returns {string} A string representation of this response.
+ */
+ReadWriteMultipleRegistersResponse.prototype.toString = function()
+{
+  return util.format(
+    "0x17 (RES) %d registers:",
+    this.values.length / 2,
+    this.values
+  );
+};
+
+/**
+ * @returns {Buffer} Values of the registers read.
+ */
+ReadWriteMultipleRegistersResponse.prototype.getValues = function()
+{
+  return this.values;
+};
+
+/**
+ * @returns {number} A number of the register values.
+ */
+ReadWriteMultipleRegistersResponse.prototype.getCount = function()
+{
+  return this.values.length / 2;
+};
@@ -102,7 +102,8 @@ ReportSlaveIdResponse.fromOptions = function(options)
   return new ReportSlaveIdResponse(
     options.product,
     options.run,
-    options.version);
+    options.version,
+    options.values);
 };
 
 /**
@@ -144,6 +145,7 @@ ReportSlaveIdResponse.prototype.toBuffer = function()
 {
   return new buffers.BufferBuilder()
     .pushByte(0x11)
+    .pushByte(5 + this.values.length)
     .pushByte(this.product)
     .pushByte(this.run)
     .pushByte(this.version[0])
@@ -21,29 +21,120 @@ function Request(code)
 inherits(Request, ModbusFunction);
 
 /**
+ * Creates a request of the class registered for the specified function code
+ * (see `functions.register()`).
+ *
  * @param {object} options
  * @param {number} options.code
  * @returns {Request}
+ * @throws {Error} If no request class is registered for the function code.
  */
 Request.fromOptions = function(options)
 {
-  var functions = require('./index');
+  return getRequestClass(options.code).fromOptions(options);
+};
+
+/**
+ * Creates a request from its JSON representation (see `toJSON()`).
+ *
+ * If the JSON has the `pdu` property, the request is decoded from it.
+ * Otherwise, the JSON is treated as the request options
+ * (see `Request.fromOptions()`).
+ *
+ * @param {object|string} json
+ * @returns {Request}
+ * @throws {Error} If the request could not be created.
+ */
+Request.fromJSON = function(json)
+{
+  if (typeof json === 'string')
+  {
+    json = JSON.parse(json);
+  }
+
+  if (typeof json.pdu !== 'string')
+  {
+    return Request.fromOptions(json);
+  }
+
+  var request = require('./index').decodeRequest(new Buffer(json.pdu, 'hex'));
 
-  if (!functions.hasOwnProperty(options.code))
+  if (request instanceof Error)
   {
-    throw new Error("Unknown request for function code: " + options.code);
+    throw request;
   }
 
-  return functions[options.code].fromOptions(options);
+  return request;
 };
 
 /**
+ * Decodes a request of the class registered for the function code
+ * in the first byte of the specified buffer (see `functions.register()`).
+ *
+ * @param {Buffer} buffer
+ * @returns {Request}
+ * @throws {Error} If no request class is registered for the function code.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of the request.
+ */
+Request.fromBuffer = function(buffer)
+{
+  if (buffer.length === 0)
+  {
+    throw new Error("The specified buffer must be at least '1' bytes long.");
+  }
+
+  return getRequestClass(buffer[0]).fromBuffer(buffer);
+};
+
+/**
+ * @returns {{type: string, name: string, code: number, data: object,
+ * pdu: string}}
+ */
+Request.prototype.toJSON = function()
+{
+  var json = {type: 'request'};
+  var functionJson = ModbusFunction.prototype.toJSON.call(this);
+
+  Object.keys(functionJson).forEach(function(key)
+  {
+    json[key] = functionJson[key];
+  });
+
+  return json;
+};
+
+/**
+ * Creates a response of the class registered for this request's function code
+ * (see `functions.register()`), or an exception response.
+ *
  * @param {Buffer} responseBuffer
  * @returns {Response}
+ * @throws {Error} If no response class is registered for the function code.
  */
 Request.prototype.createResponse = function(responseBuffer)
 {
-  throw new Error("Abstract method must be overridden by the child class!");
+  var functions = require('./index');
+  var ResponseClass = functions.getResponseClass(this.getCode());
+
+  if (ResponseClass === null)
+  {
+    throw new Error("Unknown response for function code: " + this.getCode());
+  }
+
+  return this.createExceptionOrResponse(responseBuffer, ResponseClass);
+};
+
+/**
+ * Whether this request may be broadcast to all the units (unit 0 on a serial
+ * line). Broadcasts are never answered, so only the requests that change
+ * the state of the slaves (the writes) can be broadcast.
+ *
+ * @returns {boolean}
+ */
+Request.prototype.isBroadcastable = function()
+{
+  return false;
 };
 
 /**
@@ -54,10 +145,29 @@ Request.prototype.createResponse = function(responseBuffer)
  */
 Request.prototype.createExceptionOrResponse = function(responseBuffer, Response)
 {
-  if (responseBuffer[0] > 0x80)
+  if ((responseBuffer[0] & 0x80) !== 0)
   {
     return ExceptionResponse.fromBuffer(responseBuffer);
   }
 
   return Response.fromBuffer(responseBuffer);
 };
+
+/**
+ * @private
+ * @param {number} code
+ * @returns {function(new:Request)}
+ * @throws {Error}
+ */
+function getRequestClass(code)
+{
+  var functions = require('./index');
+  var RequestClass = functions.getRequestClass(code);
+
+  if (RequestClass === null)
+  {
+    throw new Error("Unknown request for function code: " + code);
+  }
+
+  return RequestClass;
+}
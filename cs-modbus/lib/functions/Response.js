@@ -17,6 +17,91 @@ function Response(code)
 
 inherits(Response, ModbusFunction);
 
+/**
+ * Creates a response from its JSON representation (see `toJSON()`).
+ *
+ * @param {object|string} json
+ * @param {Request} [request] The request the response is an answer to.
+ * @returns {Response}
+ * @throws {Error} If the JSON does not have the `pdu` property or the response
+ * could not be decoded from it.
+ */
+Response.fromJSON = function(json, request)
+{
+  if (typeof json === 'string')
+  {
+    json = JSON.parse(json);
+  }
+
+  if (typeof json.pdu !== 'string')
+  {
+    throw new Error("The JSON of a response must have the `pdu` property.");
+  }
+
+  var response = require('./index').decodeResponse(
+    new Buffer(json.pdu, 'hex'), request
+  );
+
+  if (response instanceof Error)
+  {
+    throw response;
+  }
+
+  return response;
+};
+
+/**
+ * Decodes an exception response, or a response of the class registered for
+ * the function code in the first byte of the specified buffer (see
+ * `functions.register()`).
+ *
+ * @param {Buffer} buffer
+ * @returns {Response}
+ * @throws {Error} If no response class is registered for the function code.
+ * @throws {Error} If the specified buffer is not a valid binary representation
+ * of the response.
+ */
+Response.fromBuffer = function(buffer)
+{
+  var functions = require('./index');
+
+  if (buffer.length === 0)
+  {
+    throw new Error("The specified buffer must be at least '1' bytes long.");
+  }
+
+  if ((buffer[0] & 0x80) !== 0)
+  {
+    return functions.ExceptionResponse.fromBuffer(buffer);
+  }
+
+  var ResponseClass = functions.getResponseClass(buffer[0]);
+
+  if (ResponseClass === null)
+  {
+    throw new Error("Unknown response for function code: " + buffer[0]);
+  }
+
+  return ResponseClass.fromBuffer(buffer);
+};
+
+/**
+ * @returns {{type: string, name: string, code: number, data: object,
+ * pdu: string}}
+ */
+Response.prototype.toJSON = function()
+{
+  var json = {type: 'response'};
+  var functionJson = ModbusFunction.prototype.toJSON.call(this);
+
+  Object.keys(functionJson).forEach(function(key)
+  {
+    json[key] = functionJson[key];
+  });
+
+  return json;
+};
+
 /**
  * @returns {boolean}
  */
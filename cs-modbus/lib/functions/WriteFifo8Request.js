@@ -165,3 +165,11 @@ WriteFifo8Request.prototype.getValues = function()
 {
   return this.values;
 };
+
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteFifo8Request.prototype.isBroadcastable = function()
+{
+  return true;
+};
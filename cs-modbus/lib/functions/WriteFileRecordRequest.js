@@ -210,6 +210,14 @@ WriteFileRecordRequest.prototype.getTotalRecordDataLength = function()
   );
 };
 
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteFileRecordRequest.prototype.isBroadcastable = function()
+{
+  return true;
+};
+
 /*jshint unused:false*/
 
 /**
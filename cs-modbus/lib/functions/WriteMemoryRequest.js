@@ -178,3 +178,11 @@ WriteMemoryRequest.prototype.getValues = function()
 {
   return this.values;
 };
+
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteMemoryRequest.prototype.isBroadcastable = function()
+{
+  return true;
+};
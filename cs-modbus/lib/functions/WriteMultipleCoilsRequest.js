@@ -168,3 +168,11 @@ WriteMultipleCoilsRequest.prototype.getStates = function()
 {
   return this.states;
 };
+
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteMultipleCoilsRequest.prototype.isBroadcastable = function()
+{
+  return true;
+};
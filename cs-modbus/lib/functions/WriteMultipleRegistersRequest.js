@@ -1,6 +1,7 @@
 'use strict';
 
 var util = require('./util');
+var dataTypes = require('../dataTypes');
 var Request = require('./Request');
 var WriteMultipleRegistersResponse =
   require('./WriteMultipleRegistersResponse');
@@ -84,6 +85,61 @@ WriteMultipleRegistersRequest.fromOptions = function(options)
   return new WriteMultipleRegistersRequest(options.address, options.values);
 };
 
+/**
+ * Creates a new request that writes the specified typed values
+ * to the consecutive registers.
+ *
+ * Each string takes as many registers as necessary and is padded
+ * with a NUL character to fill the last one.
+ *
+ * @param {number} address A starting address. A number between 0 and 0xFFFF.
+ * @param {string} type One of the `dataTypes.TYPES`, except the 8-bit
+ * integers.
+ * @param {number|string|Array.<(number|string)>} values A value or values
+ * to write.
+ * @param {string} [order] One of the `dataTypes.ORDERS`. Defaults to `ABCD`.
+ * @returns {WriteMultipleRegistersRequest} A request created
+ * from the specified values.
+ * @throws {Error} If any of the values can not be encoded, or the encoded
+ * values do not fit in a single request.
+ */
+WriteMultipleRegistersRequest.fromValues =
+  function(address, type, values, order)
+{
+  if (typeof order !== 'undefined')
+  {
+    dataTypes.assertOrder(order);
+  }
+
+  if (type !== 'string' && dataTypes.getSize(type) < 2)
+  {
+    throw new Error(util.format(
+      "Type %s does not fill whole registers.", type
+    ));
+  }
+
+  if (!Array.isArray(values))
+  {
+    values = [values];
+  }
+
+  return new WriteMultipleRegistersRequest(
+    address,
+    Buffer.concat(values.map(function(value)
+    {
+      var length;
+
+      if (type === 'string')
+      {
+        length = Buffer.byteLength(String(value), 'ascii');
+        length += length % 2;
+      }
+
+      return dataTypes.encode(type, value, order, length);
+    }))
+  );
+};
+
 /**
  * Creates a new request from its binary representation.
  *
@@ -169,3 +225,11 @@ WriteMultipleRegistersRequest.prototype.getValues = function()
 {
   return this.values;
 };
+
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteMultipleRegistersRequest.prototype.isBroadcastable = function()
+{
+  return true;
+};
@@ -165,3 +165,11 @@ WriteObjectRequest.prototype.getValues = function()
 {
   return this.values;
 };
+
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteObjectRequest.prototype.isBroadcastable = function()
+{
+  return true;
+};
@@ -150,3 +150,11 @@ WriteSingleCoilRequest.prototype.getState = function()
 {
   return this.state;
 };
+
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteSingleCoilRequest.prototype.isBroadcastable = function()
+{
+  return true;
+};
@@ -148,3 +148,11 @@ WriteSingleRegisterRequest.prototype.getValue = function()
 {
   return this.value;
 };
+
+/**
+ * @returns {boolean} `true`, because the write can be broadcast.
+ */
+WriteSingleRegisterRequest.prototype.isBroadcastable = function()
+{
+  return true;
+};
@@ -1,10 +1,20 @@
 'use strict';
 
+var errors = require('../errors');
+
+exports.Request = require('./Request');
+exports.Response = require('./Response');
 exports.ExceptionResponse = require('./ExceptionResponse');
 exports.ReadCoilsRequest = require('./ReadCoilsRequest');
 exports.ReadCoilsResponse = require('./ReadCoilsResponse');
+exports.ReadExceptionStatusRequest = require('./ReadExceptionStatusRequest');
+exports.ReadExceptionStatusResponse = require('./ReadExceptionStatusResponse');
 exports.ReadDiagnosticsRequest = require('./ReadDiagnosticsRequest');
 exports.ReadDiagnosticsResponse = require('./ReadDiagnosticsResponse');
+exports.GetCommEventCounterRequest = require('./GetCommEventCounterRequest');
+exports.GetCommEventCounterResponse = require('./GetCommEventCounterResponse');
+exports.GetCommEventLogRequest = require('./GetCommEventLogRequest');
+exports.GetCommEventLogResponse = require('./GetCommEventLogResponse');
 exports.ReadDiscreteInputsRequest = require('./ReadDiscreteInputsRequest');
 exports.ReadDiscreteInputsResponse = require('./ReadDiscreteInputsResponse');
 exports.ReadHoldingRegistersRequest = require('./ReadHoldingRegistersRequest');
@@ -26,6 +36,18 @@ exports.WriteMultipleRegistersRequest =
   require('./WriteMultipleRegistersRequest');
 exports.WriteMultipleRegistersResponse =
   require('./WriteMultipleRegistersResponse');
+exports.MaskWriteRegisterRequest = require('./MaskWriteRegisterRequest');
+exports.MaskWriteRegisterResponse = require('./MaskWriteRegisterResponse');
+exports.ReadWriteMultipleRegistersRequest =
+  require('./ReadWriteMultipleRegistersRequest');
+exports.ReadWriteMultipleRegistersResponse =
+  require('./ReadWriteMultipleRegistersResponse');
+exports.ReadFifoQueueRequest = require('./ReadFifoQueueRequest');
+exports.ReadFifoQueueResponse = require('./ReadFifoQueueResponse');
+exports.ReadDeviceIdentificationRequest =
+  require('./ReadDeviceIdentificationRequest');
+exports.ReadDeviceIdentificationResponse =
+  require('./ReadDeviceIdentificationResponse');
 exports.ReadFileRecordRequest = require('./ReadFileRecordRequest');
 exports.ReadFileRecordResponse = require('./ReadFileRecordResponse');
 exports.WriteFileRecordRequest = require('./WriteFileRecordRequest');
@@ -52,22 +74,292 @@ exports.WriteMemoryResponse = require('./WriteMemoryResponse');
 exports.CommandRequest = require('./CommandRequest');
 exports.CommandResponse = require('./CommandResponse');
 
-exports[0x01] = exports.ReadCoilsRequest;
-exports[0x02] = exports.ReadDiscreteInputsRequest;
-exports[0x03] = exports.ReadHoldingRegistersRequest;
-exports[0x04] = exports.ReadInputRegistersRequest;
-exports[0x05] = exports.WriteSingleCoilRequest;
-exports[0x06] = exports.WriteSingleRegisterRequest;
-exports[0x08] = exports.ReadDiagnosticsRequest;
-exports[0x0F] = exports.WriteMultipleCoilsRequest;
-exports[0x10] = exports.WriteMultipleRegistersRequest;
-exports[0x11] = exports.ReportSlaveIdRequest;
-exports[0x14] = exports.ReadFileRecordRequest;
-exports[0x15] = exports.WriteFileRecordRequest;
-exports[0x41] = exports.ReadFifo8Request;
-exports[0x42] = exports.WriteFifoRequest;
-exports[0x43] = exports.ReadObjectRequest;
-exports[0x44] = exports.WriteObjectRequest;
-exports[0x45] = exports.ReadMemoryRequest;
-exports[0x46] = exports.WriteMemoryRequest;
-exports[0x47] = exports.CommandRequest;
+/**
+ * Request classes by the function code.
+ *
+ * @private
+ * @type {object.<number, function>}
+ */
+var requestClasses = {};
+
+/**
+ * Response classes by the function code.
+ *
+ * @private
+ * @type {object.<number, function>}
+ */
+var responseClasses = {};
+
+/**
+ * Registers the request and the response classes of the specified function
+ * code, replacing any classes registered before.
+ *
+ * The registered classes are used to create the requests from options
+ * (`Request.fromOptions()`), to decode the requests and the responses
+ * (`Request.fromBuffer()`, `Response.fromBuffer()`) and to answer
+ * the requests by the slave. The request class is also available as
+ * `functions[code]`.
+ *
+ * The request class must extend `Request` and implement the static
+ * `fromOptions()` and `fromBuffer()` methods and the `toBuffer()` method.
+ * If it does not override `createResponse()`, the responses are created
+ * by the registered response class (or as exception responses).
+ * The response class must extend `Response` and implement the static
+ * `fromBuffer()` method and the `toBuffer()` method.
+ *
+ * @param {number} code A function code. A number between 1 and 127.
+ * @param {function(new:Request)} RequestClass
+ * @param {function(new:Response)} ResponseClass
+ * @throws {Error} If the `code` is not a number between 1 and 127.
+ * @throws {Error} If any of the classes does not implement the required
+ * static methods.
+ */
+exports.register = function(code, RequestClass, ResponseClass)
+{
+  if (typeof code !== 'number' || code % 1 !== 0 || code < 1 || code > 127)
+  {
+    throw new Error(
+      "Function code must be an integer between 1 and 127, got: " + code
+    );
+  }
+
+  assertStaticMethods(RequestClass, ['fromOptions', 'fromBuffer'], code);
+  assertStaticMethods(ResponseClass, ['fromBuffer'], code);
+
+  requestClasses[code] = RequestClass;
+  responseClasses[code] = ResponseClass;
+
+  exports[code] = RequestClass;
+};
+
+/**
+ * @param {number} code A function code.
+ * @returns {boolean} Whether any classes are registered for the specified
+ * function code.
+ */
+exports.isRegistered = function(code)
+{
+  return requestClasses.hasOwnProperty(code);
+};
+
+/**
+ * @param {number} code A function code.
+ * @returns {function(new:Request)|null} A request class registered for
+ * the specified function code or `null`.
+ */
+exports.getRequestClass = function(code)
+{
+  return requestClasses.hasOwnProperty(code) ? requestClasses[code] : null;
+};
+
+/**
+ * @param {number} code A function code.
+ * @returns {function(new:Response)|null} A response class registered for
+ * the specified function code or `null`.
+ */
+exports.getResponseClass = function(code)
+{
+  return responseClasses.hasOwnProperty(code) ? responseClasses[code] : null;
+};
+
+/**
+ * Decodes the specified request PDU with the request class registered for
+ * its function code.
+ *
+ * @param {Buffer} buffer A request PDU.
+ * @returns {Request|DecodeError} The decoded request or, if the PDU could not
+ * be decoded, a `DecodeError` describing why.
+ */
+exports.decodeRequest = function(buffer)
+{
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0)
+  {
+    return createDecodeError(buffer, "The PDU is empty.", null);
+  }
+
+  var code = buffer[0];
+
+  if (code & 0x80)
+  {
+    return createDecodeError(
+      buffer, "Requests can not have the exception bit set.", null
+    );
+  }
+
+  if (!exports.isRegistered(code))
+  {
+    return createDecodeError(
+      buffer, "Unknown request for function code: " + code, null
+    );
+  }
+
+  try
+  {
+    return requestClasses[code].fromBuffer(buffer);
+  }
+  catch (err)
+  {
+    return createDecodeError(buffer, err.message, err);
+  }
+};
+
+/**
+ * Decodes the specified response PDU: as an `ExceptionResponse` if it has
+ * the exception bit (0x80) set or with the response class registered for its
+ * function code otherwise.
+ *
+ * If the `request` is specified, the response is created by the request
+ * (so the custom `createResponse()` implementations are honored) and must
+ * have the same function code.
+ *
+ * @param {Buffer} buffer A response PDU.
+ * @param {Request} [request] The request the response is an answer to.
+ * @returns {Response|DecodeError} The decoded response or, if the PDU could
+ * not be decoded, a `DecodeError` describing why.
+ */
+exports.decodeResponse = function(buffer, request)
+{
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0)
+  {
+    return createDecodeError(buffer, "The PDU is empty.", null);
+  }
+
+  var code = buffer[0] & 0x7F;
+
+  if (code === 0)
+  {
+    return createDecodeError(buffer, "Function code 0 is not valid.", null);
+  }
+
+  if (request && request.getCode() !== code)
+  {
+    return createDecodeError(
+      buffer,
+      "Expected a response for function code " + request.getCode()
+        + ", got: " + code,
+      null
+    );
+  }
+
+  if (!request && !(buffer[0] & 0x80) && !exports.isRegistered(code))
+  {
+    return createDecodeError(
+      buffer, "Unknown response for function code: " + code, null
+    );
+  }
+
+  try
+  {
+    if (request)
+    {
+      return request.createResponse(buffer);
+    }
+
+    return buffer[0] & 0x80
+      ? exports.ExceptionResponse.fromBuffer(buffer)
+      : responseClasses[code].fromBuffer(buffer);
+  }
+  catch (err)
+  {
+    return createDecodeError(buffer, err.message, err);
+  }
+};
+
+/**
+ * Creates a request or a response from its JSON representation (see
+ * `Request.fromJSON()` and `Response.fromJSON()`). The JSON is treated as
+ * a request, unless its `type` property is `response`.
+ *
+ * @param {object|string} json
+ * @returns {Request|Response}
+ * @throws {Error} If the function could not be created.
+ */
+exports.fromJSON = function(json)
+{
+  if (typeof json === 'string')
+  {
+    json = JSON.parse(json);
+  }
+
+  return json.type === 'response'
+    ? exports.Response.fromJSON(json)
+    : exports.Request.fromJSON(json);
+};
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {string} message
+ * @param {Error|null} cause
+ * @returns {DecodeError}
+ */
+function createDecodeError(buffer, message, cause)
+{
+  var error = new errors.DecodeError(message);
+  var hasCode = Buffer.isBuffer(buffer) && buffer.length > 0;
+
+  error.buffer = buffer;
+  error.functionCode = hasCode ? buffer[0] & 0x7F : -1;
+  error.exception = hasCode && (buffer[0] & 0x80) !== 0;
+  error.cause = cause;
+
+  return error;
+}
+
+/**
+ * @private
+ * @param {function} FunctionClass
+ * @param {Array.<string>} methods
+ * @param {number} code
+ * @throws {Error}
+ */
+function assertStaticMethods(FunctionClass, methods, code)
+{
+  methods.forEach(function(method)
+  {
+    if (typeof FunctionClass !== 'function'
+      || typeof FunctionClass[method] !== 'function')
+    {
+      throw new Error(
+        "Classes of the function code " + code
+          + " must implement the static " + method + "() method."
+      );
+    }
+  });
+}
+
+[
+  [0x01, 'ReadCoils'],
+  [0x02, 'ReadDiscreteInputs'],
+  [0x03, 'ReadHoldingRegisters'],
+  [0x04, 'ReadInputRegisters'],
+  [0x05, 'WriteSingleCoil'],
+  [0x06, 'WriteSingleRegister'],
+  [0x07, 'ReadExceptionStatus'],
+  [0x08, 'ReadDiagnostics'],
+  [0x0B, 'GetCommEventCounter'],
+  [0x0C, 'GetCommEventLog'],
+  [0x0F, 'WriteMultipleCoils'],
+  [0x10, 'WriteMultipleRegisters'],
+  [0x11, 'ReportSlaveId'],
+  [0x14, 'ReadFileRecord'],
+  [0x15, 'WriteFileRecord'],
+  [0x16, 'MaskWriteRegister'],
+  [0x17, 'ReadWriteMultipleRegisters'],
+  [0x18, 'ReadFifoQueue'],
+  [0x2B, 'ReadDeviceIdentification'],
+  [0x41, 'ReadFifo8'],
+  [0x42, 'WriteFifo8'],
+  [0x43, 'ReadObject'],
+  [0x44, 'WriteObject'],
+  [0x45, 'ReadMemory'],
+  [0x46, 'WriteMemory'],
+  [0x47, 'Command']
+].forEach(function(entry)
+{
+  exports.register(
+    entry[0],
+    exports[entry[1] + 'Request'],
+    exports[entry[1] + 'Response']
+  );
+});
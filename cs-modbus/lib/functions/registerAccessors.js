@@ -0,0 +1,142 @@
+'use strict';
+
+var util = require('./util');
+var dataTypes = require('../dataTypes');
+
+/**
+ * Names of the numeric accessors and their data types.
+ *
+ * @private
+ * @const
+ * @type {object.<string, string>}
+ */
+var NUMERIC_ACCESSORS = {
+  getInt16: 'int16',
+  getUInt16: 'uint16',
+  getInt32: 'int32',
+  getUInt32: 'uint32',
+  getInt64: 'int64',
+  getUInt64: 'uint64',
+  getFloat32: 'float32',
+  getFloat64: 'float64'
+};
+
+/**
+ * Adds the typed accessors of the register values to the specified
+ * prototype of a response, which must have a `getValues()` method
+ * returning a Buffer of the register values.
+ *
+ * All accessors take an index of the first register (not a byte offset)
+ * and the multi-register values take an optional byte order
+ * (one of the `dataTypes.ORDERS`, defaults to `ABCD`).
+ *
+ * @param {object} prototype
+ */
+exports.applyTo = function(prototype)
+{
+  /**
+   * @param {string} type One of the `dataTypes.TYPES`.
+   * @param {number} index An index of the first register.
+   * @param {string} [order] One of the `dataTypes.ORDERS`.
+   * @returns {number|string}
+   * @throws {Error} If the type or the order is unknown, or the value
+   * does not fit in the response.
+   */
+  prototype.getValue = function(type, index, order)
+  {
+    return decode(this.getValues(), type, index, order);
+  };
+
+  Object.keys(NUMERIC_ACCESSORS).forEach(function(method)
+  {
+    var type = NUMERIC_ACCESSORS[method];
+
+    /**
+     * @param {number} index An index of the first register.
+     * @param {string} [order] One of the `dataTypes.ORDERS`.
+     * @returns {number}
+     * @throws {Error} If the order is unknown or the value does not fit
+     * in the response.
+     */
+    prototype[method] = function(index, order)
+    {
+      return decode(this.getValues(), type, index, order);
+    };
+  });
+
+  /**
+   * @param {number} index An index of the first register.
+   * @param {number} [length] A length of the string in bytes. Defaults to
+   * all bytes following the `index`.
+   * @param {string} [order] `BADC` or `DCBA` swap the bytes of each
+   * register.
+   * @returns {string} The string, cut at the first NUL character,
+   * with the trailing spaces removed.
+   * @throws {Error} If the string does not fit in the response.
+   */
+  prototype.getString = function(index, length, order)
+  {
+    return decode(this.getValues(), 'string', index, order, length);
+  };
+
+  /**
+   * @param {number} index An index of the register.
+   * @param {number} bit A number of the bit, between 0 (the least
+   * significant) and 15.
+   * @returns {boolean}
+   * @throws {Error} If the register does not exist or the bit number
+   * is invalid.
+   */
+  prototype.getBit = function(index, bit)
+  {
+    if (typeof bit !== 'number' || bit < 0 || bit > 15)
+    {
+      throw new Error(util.format(
+        "The bit number must be between 0 and 15, got: %s", bit
+      ));
+    }
+
+    return (decode(this.getValues(), 'uint16', index) & (1 << bit)) !== 0;
+  };
+};
+
+/**
+ * @private
+ * @param {Buffer} values
+ * @param {string} type
+ * @param {number} index
+ * @param {string} [order]
+ * @param {number} [length] A length of the string. Defaults to all bytes
+ * following the `index`.
+ * @returns {number|string}
+ * @throws {Error}
+ */
+function decode(values, type, index, order, length)
+{
+  var offset = index * 2;
+
+  if (type === 'string' && typeof length !== 'number')
+  {
+    length = values.length - offset;
+  }
+
+  var size = dataTypes.getSize(type, length);
+
+  if (typeof index !== 'number' || index < 0
+    || offset + size > values.length)
+  {
+    throw new Error(util.format(
+      "A value of type %s at register %s does not fit in %d registers.",
+      type,
+      index,
+      values.length / 2
+    ));
+  }
+
+  if (typeof order !== 'undefined')
+  {
+    dataTypes.assertOrder(order);
+  }
+
+  return dataTypes.decode(type, values.slice(offset, offset + size), order);
+}
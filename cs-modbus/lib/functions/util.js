@@ -46,6 +46,17 @@ exports.assertBufferLength = function(buffer, minLength)
   }
 };
 
+/**
+ * @param {*} argument
+ * @returns {boolean} Whether the specified argument is an options object
+ * or a callback (and not an optional positional argument).
+ */
+exports.isOptionsArgument = function(argument)
+{
+  return typeof argument === 'function'
+    || (typeof argument === 'object' && argument !== null);
+};
+
 /**
  * @param {*} address
  * @returns {number}
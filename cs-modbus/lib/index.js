@@ -1,7 +1,11 @@
 'use strict';
 
 var Master = require('./Master');
+var Slave = require('./Slave');
+var Gateway = require('./Gateway');
+var MemoryStore = require('./MemoryStore');
 var functions = require('./functions');
+var errors = require('./errors');
 
 /**
  * @private
@@ -68,6 +72,29 @@ var transportFactories = {
   }
 };
 
+/**
+ * @private
+ * @const
+ * @type {object.<string, function(object, Connection): SlaveTransport>}
+ */
+var slaveTransportFactories = {
+  'ip': function createIpSlaveTransport(options, connection)
+  {
+    return new (require('./slaveTransports/IpSlaveTransport'))(connection);
+  },
+  'ascii': function createAsciiSlaveTransport(options, connection)
+  {
+    return new (require('./slaveTransports/AsciiSlaveTransport'))(connection);
+  },
+  'rtu': function createRtuSlaveTransport(options, connection)
+  {
+    return new (require('./slaveTransports/RtuSlaveTransport'))({
+      connection: connection,
+      eofTimeout: options.eofTimeout
+    });
+  }
+};
+
 /**
  * @private
  * @param {object} [options]
@@ -151,8 +178,119 @@ function createMaster(options)
   return new Master(options);
 }
 
+/**
+ * Creates a slave answering the requests from the specified data store.
+ *
+ * The `tcp-server` connection type (the default one) listens for
+ * the TCP connections (see `TcpServer.Options`) and answers the requests
+ * received over each accepted connection. Any other connection type is
+ * created as for the master.
+ *
+ * @param {object} [options]
+ * @param {object} [options.transport]
+ * @param {string} [options.transport.type] `ip` (default), `ascii` or `rtu`.
+ * @param {object} [options.transport.connection]
+ * @param {object} [options.store] A data store (see `Slave`). Defaults to
+ * a new `MemoryStore`.
+ * @param {number|Array.<number>} [options.units]
+ * @returns {Slave}
+ * @throws {Error} If any of the specified options are invalid.
+ */
+function createSlave(options)
+{
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  var transportOptions = typeof options.transport === 'object'
+    && options.transport !== null
+      ? options.transport
+      : {};
+  var transportType = typeof transportOptions.type === 'string'
+    ? transportOptions.type
+    : 'ip';
+  var slaveTransportFactory = slaveTransportFactories[transportType];
+
+  if (typeof slaveTransportFactory === 'undefined')
+  {
+    throw new Error("Unknown slave transport type: " + transportType);
+  }
+
+  var connectionOptions = typeof transportOptions.connection === 'object'
+    && transportOptions.connection !== null
+      ? transportOptions.connection
+      : {};
+
+  if (typeof options.store !== 'object' || options.store === null)
+  {
+    options.store = new MemoryStore();
+  }
+
+  var slave = new Slave(new Slave.Options(options));
+
+  if (typeof connectionOptions.type !== 'string'
+    || connectionOptions.type === 'tcp-server')
+  {
+    slave.addServer(
+      new (require('./TcpServer'))(connectionOptions),
+      slaveTransportFactory.bind(null, transportOptions)
+    );
+  }
+  else
+  {
+    slave.addTransport(slaveTransportFactory(
+      transportOptions,
+      createConnection(connectionOptions)
+    ));
+  }
+
+  return slave;
+}
+
+/**
+ * Creates a Modbus TCP gateway forwarding the requests through
+ * the specified master.
+ *
+ * @param {object} options
+ * @param {Master|object} options.master A master or the `createMaster()`
+ * options (usually with the `rtu` transport).
+ * @param {object} [options.server] Options of the `TcpServer`.
+ * @param {number|Array.<number>} [options.units]
+ * @param {number} [options.timeout]
+ * @param {number} [options.maxRetries]
+ * @returns {Gateway}
+ * @throws {Error} If any of the specified options are invalid.
+ */
+function createGateway(options)
+{
+  if (!(options.master instanceof Master))
+  {
+    options.master = createMaster(options.master);
+  }
+
+  var gateway = new Gateway(new Gateway.Options(options));
+
+  gateway.addServer(
+    new (require('./TcpServer'))(options.server),
+    slaveTransportFactories.ip.bind(null, {})
+  );
+
+  return gateway;
+}
+
 module.exports = {
   createMaster: createMaster,
+  createSlave: createSlave,
+  createGateway: createGateway,
+  MemoryStore: MemoryStore,
   functions: functions,
-  Register: require('./Register')
+  errors: errors,
+  RetryPolicy: require('./RetryPolicy'),
+  Register: require('./Register'),
+  RegisterMap: require('./RegisterMap'),
+  PollPlanner: require('./PollPlanner'),
+  Subscription: require('./Subscription'),
+  deviceMaps: require('./deviceMaps'),
+  dataTypes: require('./dataTypes')
 };
@@ -0,0 +1,153 @@
+'use strict';
+
+var util = require('util');
+var SlaveTransport = require('../SlaveTransport');
+var AsciiTransport = require('../transports/AsciiTransport');
+
+module.exports = AsciiSlaveTransport;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+var FRAME_START = 0x3A;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+var FRAME_LF = 0x0A;
+
+/**
+ * Receives the requests in the ASCII framing.
+ *
+ * Any data received before the frame start character (`:`) is ignored.
+ * Frames with an invalid LRC are silently discarded and requests sent to
+ * unit 0 are marked as broadcasts.
+ *
+ * @constructor
+ * @extends {SlaveTransport}
+ * @param {Connection} connection
+ */
+function AsciiSlaveTransport(connection)
+{
+  SlaveTransport.call(this, connection);
+
+  /**
+   * @private
+   * @type {Array.<number>}
+   */
+  this.frameData = null;
+
+  this.connection.on('data', this.onData.bind(this));
+}
+
+util.inherits(AsciiSlaveTransport, SlaveTransport);
+
+AsciiSlaveTransport.prototype.destroy = function()
+{
+  this.removeAllListeners();
+
+  if (this.connection !== null)
+  {
+    this.connection.destroy();
+    this.connection = null;
+  }
+
+  this.frameData = null;
+};
+
+/**
+ * @param {SlaveTransport.Message} message
+ * @param {Buffer} pdu
+ */
+AsciiSlaveTransport.prototype.sendResponse = function(message, pdu)
+{
+  if (this.connection === null)
+  {
+    return;
+  }
+
+  var adu = this.frame(message.unit, pdu);
+
+  this.emit('response', adu);
+
+  this.connection.write(adu);
+};
+
+[
+  'frame',
+  'lrc',
+  'high',
+  'low',
+  'encodeNibble',
+  'decodeNibble',
+  'decodeByte',
+  'decodeBytes'
+].forEach(function(method)
+{
+  AsciiSlaveTransport.prototype[method] = AsciiTransport.prototype[method];
+});
+
+/**
+ * @private
+ * @param {Buffer} data
+ */
+AsciiSlaveTransport.prototype.onData = function(data)
+{
+  for (var i = 0, l = data.length; i < l; ++i)
+  {
+    var byt3 = data[i];
+
+    if (byt3 === FRAME_START)
+    {
+      this.frameData = [];
+    }
+    else if (this.frameData === null)
+    {
+      continue;
+    }
+    else if (byt3 === FRAME_LF)
+    {
+      this.handleFrameData();
+    }
+    else
+    {
+      this.frameData.push(byt3);
+    }
+  }
+};
+
+/**
+ * @private
+ */
+AsciiSlaveTransport.prototype.handleFrameData = function()
+{
+  var frameData = this.frameData;
+
+  this.frameData = null;
+
+  // The frame data ends with CR and must contain at least the unit,
+  // the function code and the LRC (two characters each).
+  if (frameData.length < 7 || frameData.length % 2 !== 1)
+  {
+    return;
+  }
+
+  var frame = this.decodeBytes(frameData.slice(0, -1));
+  var checksum = frame.pop();
+
+  if (this.lrc(0, frame) !== checksum)
+  {
+    return;
+  }
+
+  var unit = frame.shift();
+
+  this.emit(
+    'request',
+    new SlaveTransport.Message(unit, new Buffer(frame), -1, unit === 0)
+  );
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+var util = require('util');
+var buffers = require('h5.buffers');
+var SlaveTransport = require('../SlaveTransport');
+var IpTransport = require('../transports/IpTransport');
+
+module.exports = IpSlaveTransport;
+
+/**
+ * Receives the requests in the MBAP framing (Modbus TCP/UDP).
+ *
+ * The responses are sent with the transaction ID and the unit of
+ * the request.
+ *
+ * @constructor
+ * @extends {SlaveTransport}
+ * @param {Connection} connection
+ */
+function IpSlaveTransport(connection)
+{
+  SlaveTransport.call(this, connection);
+
+  /**
+   * @private
+   * @type {h5.buffers.BufferQueueReader}
+   */
+  this.reader = new buffers.BufferQueueReader();
+
+  /**
+   * @private
+   * @type {IpTransport.Header}
+   */
+  this.header = new IpTransport.Header();
+
+  this.connection.on('data', this.onData.bind(this));
+}
+
+util.inherits(IpSlaveTransport, SlaveTransport);
+
+IpSlaveTransport.prototype.destroy = function()
+{
+  this.removeAllListeners();
+
+  if (this.connection !== null)
+  {
+    this.connection.destroy();
+    this.connection = null;
+  }
+};
+
+/**
+ * @param {SlaveTransport.Message} message
+ * @param {Buffer} pdu
+ */
+IpSlaveTransport.prototype.sendResponse = function(message, pdu)
+{
+  if (this.connection === null)
+  {
+    return;
+  }
+
+  var adu = this.frame(message.id, message.unit, pdu);
+
+  this.emit('response', adu);
+
+  this.connection.write(adu);
+};
+
+/**
+ * @private
+ * @param {number} id
+ * @param {number} unit
+ * @param {Buffer} pdu
+ * @returns {Buffer}
+ */
+IpSlaveTransport.prototype.frame = IpTransport.prototype.frame;
+
+/**
+ * @private
+ * @param {Buffer} [data]
+ */
+IpSlaveTransport.prototype.onData = function(data)
+{
+  if (typeof data !== 'undefined')
+  {
+    this.reader.push(data);
+  }
+
+  if (this.header.id === -1 && this.reader.length >= 7)
+  {
+    this.header.read(this.reader);
+  }
+
+  if (this.header.id !== -1 && this.reader.length >= this.header.length)
+  {
+    this.handleFrameData();
+  }
+};
+
+/**
+ * @private
+ */
+IpSlaveTransport.prototype.handleFrameData = function()
+{
+  var header = this.header;
+
+  if (header.version !== 0 || header.length < 1)
+  {
+    this.skipRequestData();
+    this.onData();
+
+    return;
+  }
+
+  var message = new SlaveTransport.Message(
+    header.unit,
+    this.reader.shiftBuffer(header.length),
+    header.id
+  );
+
+  header.reset();
+
+  this.emit('request', message);
+
+  if (this.connection !== null)
+  {
+    this.onData();
+  }
+};
+
+/**
+ * @private
+ */
+IpSlaveTransport.prototype.skipRequestData = function()
+{
+  if (this.header.length > 0)
+  {
+    this.reader.skip(this.header.length);
+  }
+
+  this.header.reset();
+};
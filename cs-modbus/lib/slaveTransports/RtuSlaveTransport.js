@@ -0,0 +1,186 @@
+'use strict';
+
+var util = require('util');
+var buffers = require('h5.buffers');
+var SlaveTransport = require('../SlaveTransport');
+var RtuTransport = require('../transports/RtuTransport');
+
+module.exports = RtuSlaveTransport;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+var MIN_FRAME_LENGTH = 4;
+
+/**
+ * Receives the requests in the RTU framing.
+ *
+ * A frame is complete when no data is received for `eofTimeout` ms.
+ * Frames with an invalid CRC are silently discarded (as required by
+ * the MODBUS over serial line specification) and requests sent to unit 0
+ * are marked as broadcasts.
+ *
+ * @constructor
+ * @extends {SlaveTransport}
+ * @param {RtuSlaveTransport.Options|object} options
+ */
+function RtuSlaveTransport(options)
+{
+  /**
+   * @private
+   * @type {RtuSlaveTransport.Options}
+   */
+  this.options = options instanceof RtuSlaveTransport.Options
+    ? options
+    : new RtuSlaveTransport.Options(options);
+
+  SlaveTransport.call(this, this.options.connection);
+
+  /**
+   * @private
+   * @type {h5.buffers.BufferQueueReader}
+   */
+  this.reader = new buffers.BufferQueueReader();
+
+  /**
+   * @private
+   * @type {number|null}
+   */
+  this.eofTimer = null;
+
+  /**
+   * @private
+   * @type {function}
+   */
+  this.handleFrameData = this.handleFrameData.bind(this);
+
+  this.connection.on('data', this.onData.bind(this));
+}
+
+util.inherits(RtuSlaveTransport, SlaveTransport);
+
+/**
+ * @constructor
+ * @param {object} options
+ * @param {Connection} options.connection
+ * @param {number} [options.eofTimeout]
+ */
+RtuSlaveTransport.Options = function(options)
+{
+  /**
+   * @type {Connection}
+   */
+  this.connection = options.connection;
+
+  /**
+   * @type {number}
+   */
+  this.eofTimeout =
+    typeof options.eofTimeout === 'number' && options.eofTimeout >= 1
+      ? options.eofTimeout
+      : 10;
+};
+
+RtuSlaveTransport.prototype.destroy = function()
+{
+  this.removeAllListeners();
+
+  if (this.connection !== null)
+  {
+    this.connection.destroy();
+    this.connection = null;
+  }
+
+  if (this.eofTimer !== null)
+  {
+    clearTimeout(this.eofTimer);
+    this.eofTimer = null;
+  }
+};
+
+/**
+ * @param {SlaveTransport.Message} message
+ * @param {Buffer} pdu
+ */
+RtuSlaveTransport.prototype.sendResponse = function(message, pdu)
+{
+  if (this.connection === null)
+  {
+    return;
+  }
+
+  var adu = this.frame(message.unit, pdu);
+
+  this.emit('response', adu);
+
+  this.connection.write(adu);
+};
+
+/**
+ * @private
+ * @param {number} unit
+ * @param {Buffer} pdu
+ * @returns {Buffer}
+ */
+RtuSlaveTransport.prototype.frame = function(unit, pdu)
+{
+  var builder = new buffers.BufferBuilder();
+
+  builder.pushByte(unit);
+  builder.pushBuffer(pdu);
+  builder.pushUInt16(this.crc16(unit, pdu), true);
+
+  return builder.toBuffer();
+};
+
+/**
+ * @private
+ * @param {number} firstByte
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+RtuSlaveTransport.prototype.crc16 = RtuTransport.prototype.crc16;
+
+/**
+ * @private
+ * @param {Buffer} data
+ */
+RtuSlaveTransport.prototype.onData = function(data)
+{
+  this.reader.push(data);
+
+  if (this.eofTimer !== null)
+  {
+    clearTimeout(this.eofTimer);
+  }
+
+  this.eofTimer = setTimeout(this.handleFrameData, this.options.eofTimeout);
+};
+
+/**
+ * @private
+ */
+RtuSlaveTransport.prototype.handleFrameData = function()
+{
+  this.eofTimer = null;
+
+  if (this.reader.length < MIN_FRAME_LENGTH)
+  {
+    this.reader.skip(this.reader.length);
+
+    return;
+  }
+
+  var unit = this.reader.shiftByte();
+  var pdu = this.reader.shiftBuffer(this.reader.length - 2);
+  var checksum = this.reader.shiftUInt16(true);
+
+  if (this.crc16(unit, pdu) !== checksum)
+  {
+    return;
+  }
+
+  this.emit('request', new SlaveTransport.Message(unit, pdu, -1, unit === 0));
+};
@@ -107,7 +107,22 @@ AsciiTransport.prototype.sendRequest = function(transaction)
 
   this.connection.write(adu);
 
-  transaction.start(this.handleTimeout);
+  if (transaction.isBroadcast())
+  {
+    transaction.startBroadcast(this.handleTimeout);
+  }
+  else
+  {
+    transaction.start(this.handleTimeout);
+  }
+};
+
+/**
+ * @returns {boolean} `true`; requests to unit 0 are broadcasts.
+ */
+AsciiTransport.prototype.supportsBroadcast = function()
+{
+  return true;
 };
 
 /**
@@ -290,7 +305,8 @@ AsciiTransport.prototype.onData = function(data)
 {
   var transaction = this.transaction;
 
-  if (transaction === null)
+  // Nothing received during a broadcast turnaround is a response.
+  if (transaction === null || transaction.isBroadcast())
   {
     return;
   }
@@ -206,7 +206,22 @@ RtuTransport.prototype.sendRequest = function(transaction)
   
   
 
-  transaction.start(this.handleTimeout);
+  if (transaction.isBroadcast())
+  {
+    transaction.startBroadcast(this.handleTimeout);
+  }
+  else
+  {
+    transaction.start(this.handleTimeout);
+  }
+};
+
+/**
+ * @returns {boolean} `true`; requests to unit 0 are broadcasts.
+ */
+RtuTransport.prototype.supportsBroadcast = function()
+{
+  return true;
 };
 
 /**
@@ -324,7 +339,9 @@ RtuTransport.prototype.skipResponseData = function()
  */
 RtuTransport.prototype.onData = function(data)
 {
-  if (this.transaction === null)
+  // Nothing received during a broadcast turnaround (for example, the echo
+  // of the request) is a response, so it must not be validated.
+  if (this.transaction === null || this.transaction.isBroadcast())
   {
     return;
   }